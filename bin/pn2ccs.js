@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*********************************************************************
+ * This file contains a command-line tool for Node.js that converts  *
+ * PNML-files into CCS without the browser by reusing the Petri net  *
+ * and CCS representations from the web application.                 *
+ *********************************************************************/
+
+const fs = require("fs");
+const path = require("path");
+const {PNML} = require("../src/js/pnml.js");
+const {SynchronisationStrategy} = require("../src/js/pn.js");
+const {CCSOptimiser} = require("../src/js/ccsoptimiser.js");
+const {MCRL2} = require("../src/js/mcrl2.js");
+const {CCSDialect} = require("../src/js/ccsdialects.js");
+const {EncodingVerification} = require("../src/js/verification.js");
+
+const USAGE = `Usage: pn2ccs convert <file.pnml>... [options]
+
+Options:
+  --mode <mode>     What to output (default: ccs):
+                      ccs       the CCS encoding of the Petri net,
+                      mcrl2     the CCS encoding as an mCRL2 process specification,
+                      caal      the CCS encoding in the syntax of CAAL,
+                      cwb       the CCS encoding in the syntax of the Edinburgh Concurrency Workbench,
+                      latex     the CCS encoding as an align*-environment for LaTeX,
+                      2tau      the 2-τ-synchronisation net as a PNML-file,
+                      classify  the classes of the Petri net,
+                      verify    whether the CCS encoding is weakly bisimilar to the Petri net.
+  --strategy <s>    Synchronisation strategy for group-choice nets (default: chain):
+                      chain         synchronise the places from left to right,
+                      tree          synchronise the places as a balanced binary tree,
+                      random:<seed> synchronise random places given by the seed.
+  --simplify        Simplify the CCS (in all modes except 2tau and classify) without changing its behaviour.
+  --out <file>      Write the output to a file (only for a single input file).
+  --out-dir <dir>   Write the output for each input file to a file in a directory.
+  --help            Show this help.
+
+Without --out/--out-dir, the output is written to the standard output.`;
+
+const MODES = {
+	ccs: {extension: ".ccs", convert: convertCCS},
+	mcrl2: {extension: ".mcrl2", convert: convertMCRL2},
+	caal: {extension: ".caal", convert: (petriNet, name, strategy, isSimplified) => convertDialect(petriNet, CCSDialect.CAAL, strategy, isSimplified)},
+	cwb: {extension: ".cwb", convert: (petriNet, name, strategy, isSimplified) => convertDialect(petriNet, CCSDialect.CWB, strategy, isSimplified)},
+	latex: {extension: ".tex", convert: convertLaTeX},
+	"2tau": {extension: ".pnml", convert: convert2Tau},
+	classify: {extension: ".txt", convert: convertClassify},
+	verify: {extension: ".txt", convert: convertVerify},
+};
+
+const CLASS_NAMES = {
+	isPetriNet: "Petri net",
+	isGroupChoiceNet: "Group-choice net",
+	is2TauSynchronisationNet: "2-τ-synchronisation net",
+	isCCSNet: "CCS net",
+	isFreeChoiceNet: "Free-choice net",
+	isWorkflowNet: "Workflow net",
+	isFreeChoiceWorkflowNet: "Free-choice workflow net",
+};
+
+/** Usage error that makes the tool print the usage. */
+class UsageError extends Error {}
+
+/** Encodes the Petri net into CCS like GuiCCS::update. */
+function convertCCS(petriNet, name, strategy, isSimplified) {
+	return toCCS(petriNet, strategy, isSimplified).toString() + "\n";
+}
+
+/** Encodes the Petri net into CCS and writes it as an mCRL2 process specification like GuiCCS::export. */
+function convertMCRL2(petriNet, name, strategy, isSimplified) {
+	return MCRL2.stringify(toCCS(petriNet, strategy, isSimplified), name);
+}
+
+/** Encodes the Petri net into CCS and writes it in the syntax of another tool like GuiCCS::export. */
+function convertDialect(petriNet, dialect, strategy, isSimplified) {
+	return new CCSDialect(dialect).stringify(toCCS(petriNet, strategy, isSimplified));
+}
+
+/** Encodes the Petri net into CCS and writes it as LaTeX like GuiCCS::export. */
+function convertLaTeX(petriNet, name, strategy, isSimplified) {
+	return `% ${name}: CCS encoding of a Petri net (needs \\usepackage{amsmath})\n${toCCS(petriNet, strategy, isSimplified).toLaTeX()}\n`;
+}
+
+/** Transforms the Petri net into a 2-τ-synchronisation net like GuiPetriNet::update2TauSynchronisationNet. */
+function convert2Tau(petriNet, name, strategy) {
+	return PNML.stringify(to2TauSynchronisationNet(petriNet, strategy), name);
+}
+
+/** Lists all the classes and whether the Petri net is in them like GuiClassification::update. */
+function convertClassify(petriNet, name, strategy) {
+	const classes = petriNet.classify();
+	return Object.keys(CLASS_NAMES).map(key => `${CLASS_NAMES[key]}: ${classes[key] ? "yes" : "no"}`).join("\n") + "\n";
+}
+
+/**
+ * Verifies the CCS encoding of the Petri net like Gui::onVerify.
+ *
+ * @throws {Error} If the Petri net cannot be encoded or the encoding is not weakly bisimilar to the Petri net.
+ */
+function convertVerify(petriNet, name, strategy, isSimplified) {
+	const verification = new EncodingVerification(petriNet, toCCS(petriNet, strategy, isSimplified));
+	if (!verification.isComplete) {
+		return "Inconclusive: The Petri net is unbounded or has too many reachable markings/processes.\n";
+	}
+	if (!verification.isBisimilar) {
+		throw new Error(["The encoding is not weakly bisimilar to the Petri net."].concat(verification.describeTrace()).join("\n  "));
+	}
+	return "Weakly bisimilar.\n";
+}
+
+/** @throws {Error} If the Petri net cannot be encoded. */
+function to2TauSynchronisationNet(petriNet, strategy) {
+	if (!petriNet.is2TauSynchronisationNet() && !petriNet.isGroupChoiceNet()) {
+		throw new Error("Petri net cannot be encoded.");
+	}
+	return petriNet.to2TauSynchronisationNet(strategy);
+}
+
+/** @throws {Error} If the Petri net cannot be encoded. */
+function toCCS(petriNet, strategy, isSimplified) {
+	const ccs = to2TauSynchronisationNet(petriNet, strategy).toCCS();
+	return isSimplified ? CCSOptimiser.optimise(ccs) : ccs;
+}
+
+/** Parses the command-line arguments after the command. */
+function parseArguments(args) {
+	const options = {files: [], mode: "ccs", strategy: "chain", out: null, outDir: null, simplify: false, help: false};
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg === "--help" || arg === "-h") {
+			options.help = true;
+		} else if (arg === "--simplify") {
+			options.simplify = true;
+		} else if (arg === "--mode" || arg === "--strategy" || arg === "--out" || arg === "--out-dir") {
+			if (i + 1 === args.length) {
+				throw new UsageError(`Missing value for ${arg}.`);
+			}
+			options[arg === "--out-dir" ? "outDir" : arg.slice(2)] = args[++i];
+		} else if (arg.startsWith("-")) {
+			throw new UsageError(`Unknown option ${arg}.`);
+		} else {
+			options.files.push(arg);
+		}
+	}
+	if (options.help) {
+		return options;
+	}
+	if (!MODES[options.mode]) {
+		throw new UsageError(`Unknown mode ${options.mode}.`);
+	}
+	try {
+		options.strategy = SynchronisationStrategy.parse(options.strategy);
+	} catch(error) {
+		throw new UsageError(`Unknown strategy ${options.strategy}.`);
+	}
+	if (options.files.length === 0) {
+		throw new UsageError("Missing input file.");
+	}
+	if (options.out !== null && options.outDir !== null) {
+		throw new UsageError("Only one of --out and --out-dir can be used.");
+	}
+	if (options.out !== null && options.files.length > 1) {
+		throw new UsageError("Use --out-dir instead of --out for multiple input files.");
+	}
+	return options;
+}
+
+/** Runs the tool and returns the exit code. */
+function main(args) {
+	let options;
+	try {
+		if (args[0] === "--help" || args[0] === "-h") {
+			options = {help: true};
+		} else if (args[0] === "convert") {
+			options = parseArguments(args.slice(1));
+		} else {
+			throw new UsageError(args.length ? `Unknown command ${args[0]}.` : "Missing command.");
+		}
+	} catch(error) {
+		if (!(error instanceof UsageError)) {
+			throw error;
+		}
+		console.error(`pn2ccs: ${error.message}\n\n${USAGE}`);
+		return 2;
+	}
+	if (options.help) {
+		console.log(USAGE);
+		return 0;
+	}
+	const mode = MODES[options.mode];
+	if (options.outDir !== null) {
+		fs.mkdirSync(options.outDir, {recursive: true});
+	}
+	let exitCode = 0;
+	options.files.forEach(file => {
+		const name = path.basename(file, path.extname(file));
+		try {
+			const output = mode.convert(PNML.toPetriNet(fs.readFileSync(file, "utf8")), name, options.strategy, options.simplify);
+			if (options.out !== null) {
+				fs.writeFileSync(options.out, output);
+			} else if (options.outDir !== null) {
+				fs.writeFileSync(path.join(options.outDir, name + mode.extension), output);
+			} else {
+				process.stdout.write(output);
+			}
+		} catch(error) {
+			console.error(`pn2ccs: ${file}: ${error.message}`);
+			exitCode = 1;
+		}
+	});
+	return exitCode;
+}
+
+process.exitCode = main(process.argv.slice(2));
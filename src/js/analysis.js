@@ -0,0 +1,379 @@
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*********************************************************************
+ * This file contains behavioural analyses of Petri nets based on    *
+ * the state space (reachability/coverability graph) from the        *
+ * initial marking, in contrast to the structural classification.   *
+ *********************************************************************
+ * @public are functions that can be called from the outside         *
+ *********************************************************************/
+
+/** Represents a state (a reachable or covering marking) in a reachability/coverability graph. */
+class ReachabilityState {
+	id;
+	marking;
+	parent;
+	parentTransition;
+	edges = [];
+
+	/** @package */
+	constructor(id, marking, parent, parentTransition) {
+		if (!(marking instanceof Marking)) {
+			throw new TypeError("State marking must be a marking.");
+		}
+		this.id = id;
+		this.marking = marking;
+		this.parent = parent;
+		this.parentTransition = parentTransition;
+	}
+
+	/** @public */
+	getName() {
+		return `M${this.id}`;
+	}
+}
+
+/**
+ * Reachability graph of a Petri net from its initial marking. If the Petri net is unbounded, then the graph is
+ * a Karp–Miller coverability graph instead where places that can get arbitrarily many tokens have ω tokens.
+ */
+class ReachabilityGraph {
+	static MAX_STATES = 10000;
+	petriNet;
+	states = [];
+	isCoverabilityGraph = false;
+	isComplete = true;
+	statesByMarking = new Map();
+
+	/**
+	 * Constructs the graph using breadth-first search from the initial marking, such that the path to every state
+	 * through the parent states is a shortest firing sequence. Whenever a new marking strictly covers the marking
+	 * of a state on its path, then the places with more tokens get ω tokens (Karp–Miller acceleration).
+	 *
+	 * @public
+	 * @param {PetriNet} petriNet      Petri net to construct the graph for.
+	 * @param {Marking} initialMarking Marking to start from (default: the initial marking of the Petri net).
+	 * @param {number} maxStates       Maximal number of states before the construction is stopped.
+	 */
+	constructor(petriNet, initialMarking = petriNet.getInitialMarking(), maxStates = ReachabilityGraph.MAX_STATES) {
+		if (!(petriNet instanceof PetriNet)) {
+			throw new TypeError("Petri net must be a Petri net.");
+		}
+		if (!(initialMarking instanceof Marking) || initialMarking.tokens.length !== petriNet.places.length) {
+			throw new TypeError("Initial marking must be a marking of the Petri net.");
+		}
+		if (!Number.isInteger(maxStates) || maxStates < 1) {
+			throw new TypeError("Maximal number of states must be a positive integer.");
+		}
+		this.petriNet = petriNet;
+		const addState = (marking, parent, parentTransition) => {
+			const state = new ReachabilityState(this.states.length, marking, parent, parentTransition);
+			this.states.push(state);
+			this.statesByMarking.set(marking.toString(), state);
+			return state;
+		};
+		addState(initialMarking, null, null);
+		for (let i = 0; i < this.states.length; i++) {
+			const state = this.states[i];
+			for (const transition of petriNet.enabledTransitions(state.marking)) {
+				let marking = petriNet.fire(transition, state.marking);
+				for (let ancestor = state; ancestor !== null; ancestor = ancestor.parent) {
+					if (marking.covers(ancestor.marking) && !marking.equals(ancestor.marking)) {
+						marking = new Marking(marking.tokens.map((count, id) => count > ancestor.marking.tokens[id] ? Marking.OMEGA : count));
+					}
+				}
+				let next = this.statesByMarking.get(marking.toString());
+				if (next === undefined) {
+					if (this.states.length === maxStates) {
+						this.isComplete = false;
+						return;
+					}
+					next = addState(marking, state, transition);
+					this.isCoverabilityGraph = this.isCoverabilityGraph || marking.hasOmega();
+				}
+				state.edges.push({transition: transition, state: next});
+			}
+		}
+	}
+
+	/** @public */
+	getInitialState() {
+		return this.states[0];
+	}
+
+	/** @public */
+	findState(marking) {
+		return this.statesByMarking.get(marking.toString()) || null;
+	}
+
+	/**
+	 * Finds a shortest firing sequence from the initial marking to a state in the graph.
+	 *
+	 * @public
+	 * @param {ReachabilityState} state State in this graph.
+	 * @return {Transition[]} The transitions to fire in order to reach the state.
+	 */
+	getPath(state) {
+		const path = [];
+		for (; state.parent !== null; state = state.parent) {
+			path.push(state.parentTransition);
+		}
+		return path.reverse();
+	}
+}
+
+/**
+ * Behavioural properties of a Petri net computed from its reachability/coverability graph. Properties that cannot
+ * be decided from the graph (e.g. liveness of unbounded Petri nets or if the graph is incomplete) are null.
+ */
+class BehaviouralProperties {
+	graph;
+	isBounded = null;
+	bound = null;
+	isSafe = null;
+	isDeadlockFree = null;
+	deadlock = null;
+	isQuasiLive = [];
+	isLive = [];
+
+	/**
+	 * Computes the properties where
+	 * - bounded/k-bounded/safe follows from the absence of ω and the maximal number of tokens in a place,
+	 * - a deadlock is a state without outgoing edges, which is a reachable marking if it has no ω,
+	 * - a transition is quasi-live iff it labels an edge (also in coverability graphs),
+	 * - a transition is live iff it labels an edge in every bottom strongly connected component (only bounded).
+	 *
+	 * @public
+	 * @param {ReachabilityGraph} graph Reachability/coverability graph of the Petri net.
+	 */
+	constructor(graph) {
+		if (!(graph instanceof ReachabilityGraph)) {
+			throw new TypeError("Graph must be a reachability graph.");
+		}
+		this.graph = graph;
+		const transitions = graph.petriNet.transitions;
+		if (!graph.isComplete) {
+			this.isQuasiLive = transitions.map(transition => null);
+			this.isLive = transitions.map(transition => null);
+			return;
+		}
+		this.isBounded = !graph.isCoverabilityGraph;
+		if (this.isBounded) {
+			this.bound = graph.states.reduce((bound, state) => Math.max(bound, ...state.marking.tokens), 0);
+			this.isSafe = this.bound <= 1;
+		} else {
+			this.isSafe = false;
+		}
+		this.deadlock = graph.states.find(state => state.edges.length === 0 && !state.marking.hasOmega()) || null;
+		this.isDeadlockFree = this.deadlock !== null ? false : this.isBounded ? true : null;
+		const quasiLive = [];
+		graph.states.forEach(state => state.edges.forEach(edge => quasiLive[edge.transition.id] = true));
+		this.isQuasiLive = transitions.map(transition => quasiLive[transition.id] === true);
+		if (!this.isBounded) {
+			this.isLive = transitions.map(transition => this.isQuasiLive[transition.id] ? null : false);
+			return;
+		}
+		const bottomComponents = this.findBottomComponents();
+		this.isLive = transitions.map(transition => bottomComponents.every(component => component.some(state => state.edges.some(edge => edge.transition === transition))));
+	}
+
+	/** @public */
+	getDeadlockPath() {
+		return this.deadlock === null ? null : this.graph.getPath(this.deadlock);
+	}
+
+	/** @public */
+	isLiveNet() {
+		if (this.isLive.some(isLive => isLive === false)) {
+			return false;
+		}
+		return this.isLive.some(isLive => isLive === null) ? null : true;
+	}
+
+	/**
+	 * Finds the bottom strongly connected components (those without edges to other components) using an
+	 * iterative version of Tarjan's algorithm.
+	 *
+	 * @private
+	 * @return {ReachabilityState[][]} The states of each bottom strongly connected component.
+	 */
+	findBottomComponents() {
+		const index = [];
+		const lowLink = [];
+		const component = [];
+		const stack = [];
+		const components = [];
+		let nextIndex = 0;
+		this.graph.states.forEach(root => {
+			if (index[root.id] !== undefined) {
+				return;
+			}
+			const pending = [[root, 0]];
+			index[root.id] = lowLink[root.id] = nextIndex++;
+			stack.push(root);
+			while (pending.length) {
+				const frame = pending[pending.length - 1];
+				const [state, edgeIndex] = frame;
+				if (edgeIndex < state.edges.length) {
+					frame[1]++;
+					const next = state.edges[edgeIndex].state;
+					if (index[next.id] === undefined) {
+						index[next.id] = lowLink[next.id] = nextIndex++;
+						stack.push(next);
+						pending.push([next, 0]);
+					} else if (component[next.id] === undefined) {
+						lowLink[state.id] = Math.min(lowLink[state.id], index[next.id]);
+					}
+					continue;
+				}
+				pending.pop();
+				if (pending.length) {
+					const parent = pending[pending.length - 1][0];
+					lowLink[parent.id] = Math.min(lowLink[parent.id], lowLink[state.id]);
+				}
+				if (lowLink[state.id] === index[state.id]) {
+					const states = [];
+					let other;
+					do {
+						other = stack.pop();
+						component[other.id] = components.length;
+						states.push(other);
+					} while (other !== state);
+					components.push(states);
+				}
+			}
+		});
+		return components.filter((states, id) => states.every(state => state.edges.every(edge => component[edge.state.id] === id)));
+	}
+}
+
+/** Violation of a soundness property with a counterexample. */
+class SoundnessViolation {
+	property;
+	message;
+	marking;
+	path;
+	transitions;
+
+	/** @package */
+	constructor(property, message, marking, path, transitions) {
+		this.property = property;
+		this.message = message;
+		this.marking = marking;
+		this.path = path;
+		this.transitions = transitions;
+	}
+}
+
+/**
+ * Soundness of a workflow net, which is checked from the marking with one token in the source place i (and no other
+ * tokens) regardless of the initial marking of the Petri net. A workflow net is sound iff it has
+ * - option to complete: from every reachable marking, a marking with a token in the sink place o is reachable,
+ * - proper completion: every reachable marking with a token in o is the marking with one token in o (and nothing else),
+ * - no dead transitions: every transition can fire in some reachable marking.
+ * A sound workflow net is bounded, so an unbounded workflow net is reported as a violation on its own.
+ */
+class WorkflowSoundness {
+	static OPTION_TO_COMPLETE = "Option to complete";
+	static PROPER_COMPLETION = "Proper completion";
+	static NO_DEAD_TRANSITIONS = "No dead transitions";
+	static BOUNDEDNESS = "Boundedness";
+	graph;
+	source;
+	sink;
+	isSound = null;
+	violations = [];
+
+	/**
+	 * Checks the soundness of a workflow net and collects a counterexample for each violated property, where
+	 * the firing sequences are shortest firing sequences to the markings.
+	 *
+	 * @public
+	 * @param {PetriNet} petriNet Workflow net to check.
+	 * @param {number} maxStates  Maximal number of states before the check is stopped (isSound is null).
+	 * @throws {Error} If the Petri net is not a workflow net.
+	 */
+	constructor(petriNet, maxStates = ReachabilityGraph.MAX_STATES) {
+		if (!petriNet.isWorkflowNet()) {
+			throw new Error("Petri net is not a workflow net.");
+		}
+		this.source = petriNet.places.find(place => place.in.length === 0);
+		this.sink = petriNet.places.find(place => place.out.length === 0);
+		const tokens = petriNet.places.map(place => place === this.source ? 1 : 0);
+		this.graph = new ReachabilityGraph(petriNet, new Marking(tokens), maxStates);
+		if (!this.graph.isComplete) {
+			return;
+		}
+		if (this.graph.isCoverabilityGraph) {
+			// The parent of the first state with ω has no ω, so the path to it is a real firing sequence.
+			const state = this.graph.states.find(state => state.marking.hasOmega());
+			const path = this.graph.getPath(state.parent).concat([state.parentTransition]);
+			const marking = petriNet.fire(state.parentTransition, state.parent.marking);
+			this.addViolation(WorkflowSoundness.BOUNDEDNESS, "The workflow net is unbounded since the firing sequence ends in a marking that covers an earlier marking in the sequence (so it can be repeated to get arbitrarily many tokens).", marking, path, []);
+		} else {
+			this.checkOptionToComplete();
+			this.checkProperCompletion();
+		}
+		const properties = new BehaviouralProperties(this.graph);
+		const deadTransitions = petriNet.transitions.filter(transition => !properties.isQuasiLive[transition.id]);
+		if (deadTransitions.length) {
+			this.addViolation(WorkflowSoundness.NO_DEAD_TRANSITIONS, "The transitions can never fire.", null, null, deadTransitions);
+		}
+		this.isSound = this.violations.length === 0;
+	}
+
+	/** @private */
+	addViolation(property, message, marking, path, transitions) {
+		this.violations.push(new SoundnessViolation(property, message, marking, path, transitions));
+	}
+
+	/** @private */
+	checkOptionToComplete() {
+		// Find all states that can reach a state with a token in the sink by going backwards from those states.
+		const incoming = this.graph.states.map(state => []);
+		this.graph.states.forEach(state => state.edges.forEach(edge => incoming[edge.state.id].push(state)));
+		const canComplete = [];
+		const pending = this.graph.states.filter(state => state.marking.getTokens(this.sink) > 0);
+		pending.forEach(state => canComplete[state.id] = true);
+		while (pending.length) {
+			incoming[pending.pop().id].forEach(state => {
+				if (!canComplete[state.id]) {
+					canComplete[state.id] = true;
+					pending.push(state);
+				}
+			});
+		}
+		const state = this.graph.states.find(state => !canComplete[state.id]);
+		if (state) {
+			this.addViolation(WorkflowSoundness.OPTION_TO_COMPLETE, `No marking with a token in ${this.sink.getName()} can be reached from the marking.`, state.marking, this.graph.getPath(state), []);
+		}
+	}
+
+	/** @private */
+	checkProperCompletion() {
+		const state = this.graph.states.find(state => state.marking.getTokens(this.sink) > 0 && state.marking.tokens.some((count, id) => count !== (id === this.sink.id ? 1 : 0)));
+		if (state) {
+			this.addViolation(WorkflowSoundness.PROPER_COMPLETION, `The marking has a token in ${this.sink.getName()} but is not the marking with only one token in ${this.sink.getName()}.`, state.marking, this.graph.getPath(state), []);
+		}
+	}
+}
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./pn.js"));
+	module.exports = {ReachabilityState, ReachabilityGraph, BehaviouralProperties, SoundnessViolation, WorkflowSoundness};
+}
@@ -16,7 +16,8 @@
 
 /**********************************************************************
  * This file contains an abstract syntax tree (AST) representation of *
- * CCS processes with functions to print it as a string and HTML.     *
+ * CCS processes with functions to print it as a string and HTML and  *
+ * the structural operational semantics (SOS) of the processes.       *
  **********************************************************************
  * @public are functions that can be called from the outside          *
  **********************************************************************/
@@ -30,6 +31,11 @@ class Action {
 			throw new Error("Action class cannot be instantiated.");
 		}
 	}
+
+	/** @public */
+	isComplementOf(action) {
+		return false;
+	}
 }
 
 /** Input action. */
@@ -45,6 +51,11 @@ class InputAction extends Action {
 		this.name = name;
 	}
 
+	/** @public */
+	isComplementOf(action) {
+		return action instanceof CoAction && action.name === this.name;
+	}
+
 	/** @public */
 	toString() {
 		return this.name + "?";
@@ -52,7 +63,16 @@ class InputAction extends Action {
 
 	/** @public */
 	toHTML() {
-		return this.name.replace(/_(t\d+)$/, "<sub>$1</sub>");
+		return this.name.replace(/^(.*)_(t\d+)$/, "<span data-node=\"$2\">$1<sub>$2</sub></span>");
+	}
+
+	/**
+	 * Writes the name in math mode where the transition of a synchronisation action (like t7 in s_t7) is a subscript.
+	 *
+	 * @public
+	 */
+	toLaTeX() {
+		return CCS.nameToLaTeX(this.name, /^(.*)_(t\d+)$/);
 	}
 }
 
@@ -69,6 +89,11 @@ class CoAction extends Action {
 		this.name = name;
 	}
 
+	/** @public */
+	isComplementOf(action) {
+		return action instanceof InputAction && action.name === this.name;
+	}
+
 	/** @public */
 	toString() {
 		return this.name + "!";
@@ -76,7 +101,12 @@ class CoAction extends Action {
 
 	/** @public */
 	toHTML() {
-		return "<span class=\"overline\">" + this.name.replace(/_(t\d+)$/, "<sub>$1</sub>") + "</span>";
+		return "<span class=\"overline\">" + this.name.replace(/^(.*)_(t\d+)$/, "<span data-node=\"$2\">$1<sub>$2</sub></span>") + "</span>";
+	}
+
+	/** @public */
+	toLaTeX() {
+		return "\\overline{" + CCS.nameToLaTeX(this.name, /^(.*)_(t\d+)$/) + "}";
 	}
 }
 
@@ -92,6 +122,11 @@ class InternalAction extends Action {
 	toHTML() {
 		return "τ";
 	}
+
+	/** @public */
+	toLaTeX() {
+		return "\\tau";
+	}
 }
 
 /** Abstract class for processes. */
@@ -120,6 +155,20 @@ class Sequential extends Process {
 /** A process that does nothing. */
 class Inaction extends Sequential {
 
+	/**
+	 * Finds the transitions of this process according to the structural operational semantics of CCS.
+	 * The same method exists for all processes, where unguarded recursion through constants is not allowed.
+	 *
+	 * @public
+	 * @param {Object<string, Process>} definitions Definitions of the constants.
+	 * @param {Set<string>} unfolding               Names of the constants that are unfolded without a prefix.
+	 * @return {{action: Action, process: Process}[]} The actions and the processes they lead to.
+	 * @throws {Error} If an undefined constant or unguarded recursion is encountered.
+	 */
+	transitions(definitions, unfolding = new Set()) {
+		return [];
+	}
+
 	/** @public */
 	toString() {
 		return "0";
@@ -129,6 +178,11 @@ class Inaction extends Sequential {
 	toHTML() {
 		return "<b>0</b>";
 	}
+
+	/** @public */
+	toLaTeX() {
+		return "\\mathbf{0}";
+	}
 }
 
 /** Prefix action that executes an action and the continues as another process. */
@@ -149,6 +203,11 @@ class Prefix extends Sequential {
 		this.process = process;
 	}
 
+	/** @public */
+	transitions(definitions, unfolding = new Set()) {
+		return [{action: this.action, process: this.process}];
+	}
+
 	/** @public */
 	toString() {
 		return this.action.toString() + "." + this.process.toString();
@@ -158,6 +217,11 @@ class Prefix extends Sequential {
 	toHTML() {
 		return this.action.toHTML() + "." + this.process.toHTML();
 	}
+
+	/** @public */
+	toLaTeX() {
+		return this.action.toLaTeX() + "." + this.process.toLaTeX();
+	}
 }
 
 /** Choice of prefix actions that executes exactly one of the prefix actions and discards the rest. */
@@ -173,6 +237,11 @@ class Choice extends Sequential {
 		this.choices = choices;
 	}
 
+	/** @public */
+	transitions(definitions, unfolding = new Set()) {
+		return this.choices.flatMap(choice => choice.transitions(definitions, unfolding));
+	}
+
 	/** @public */
 	toString() {
 		return "(" + this.choices.map(choice => choice.toString()).join(" + ") + ")";
@@ -182,6 +251,11 @@ class Choice extends Sequential {
 	toHTML() {
 		return "(" + this.choices.map(choice => choice.toHTML()).join(" + ") + ")";
 	}
+
+	/** @public */
+	toLaTeX() {
+		return "(" + this.choices.map(choice => choice.toLaTeX()).join(" + ") + ")";
+	}
 }
 
 /** Parallel composition of processes. */
@@ -197,6 +271,42 @@ class Parallel extends Process {
 		this.processes = processes;
 	}
 
+	/**
+	 * Composes processes in parallel where nested parallel compositions are flattened and inactions are removed.
+	 *
+	 * @public
+	 * @param {Process[]} processes The processes.
+	 * @return {Process} The parallel composition, or a single process/inaction if fewer than two processes remain.
+	 */
+	static compose(processes) {
+		processes = processes.flatMap(process => process instanceof Parallel ? process.processes : [process]).filter(process => !(process instanceof Inaction));
+		if (processes.length === 0) {
+			return new Inaction();
+		}
+		return processes.length === 1 ? processes[0] : new Parallel(processes);
+	}
+
+	/**
+	 * Finds the transitions of the processes on their own and the τ-transitions where two processes synchronise
+	 * on an action and its co-action.
+	 *
+	 * @public
+	 */
+	transitions(definitions, unfolding = new Set()) {
+		const moves = this.processes.map(process => process.transitions(definitions, unfolding));
+		const replace = (replacements) => Parallel.compose(this.processes.map((process, index) => replacements[index] || process));
+		const transitions = [];
+		moves.forEach((transitionsI, i) => transitionsI.forEach(transitionI => {
+			transitions.push({action: transitionI.action, process: replace({[i]: transitionI.process})});
+			for (let j = i + 1; j < moves.length; j++) {
+				moves[j].filter(transitionJ => transitionI.action.isComplementOf(transitionJ.action)).forEach(transitionJ => {
+					transitions.push({action: new InternalAction(), process: replace({[i]: transitionI.process, [j]: transitionJ.process})});
+				});
+			}
+		}));
+		return transitions;
+	}
+
 	/** @public */
 	toString() {
 		return "(" + this.processes.map(process => process.toString()).join(" | ") + ")";
@@ -206,6 +316,11 @@ class Parallel extends Process {
 	toHTML() {
 		return "(" + this.processes.map(process => process.toHTML()).join(" | ") + ")";
 	}
+
+	/** @public */
+	toLaTeX() {
+		return "(" + this.processes.map(process => process.toLaTeX()).join(" \\mid ") + ")";
+	}
 }
 
 /** A short hand for the parallel composition of the same process a given number of times. */
@@ -226,6 +341,28 @@ class Exponent extends Process {
 		this.count = count;
 	}
 
+	/**
+	 * Finds the transitions of P^n as the transitions of one copy of P, i.e. (P' | P^(n-1)), and the τ-transitions
+	 * where two copies of P synchronise, i.e. (P' | P'' | P^(n-2)), without expanding P^n into n copies.
+	 *
+	 * @public
+	 */
+	transitions(definitions, unfolding = new Set()) {
+		if (this.count <= 1) {
+			return this.count === 0 ? [] : this.process.transitions(definitions, unfolding);
+		}
+		const rest = count => count === 1 ? [this.process] : count === 0 ? [] : [new Exponent(this.process, count)];
+		const moves = this.process.transitions(definitions, unfolding);
+		const transitions = [];
+		moves.forEach((moveI, i) => {
+			transitions.push({action: moveI.action, process: Parallel.compose([moveI.process].concat(rest(this.count - 1)))});
+			moves.slice(i + 1).filter(moveJ => moveI.action.isComplementOf(moveJ.action)).forEach(moveJ => {
+				transitions.push({action: new InternalAction(), process: Parallel.compose([moveI.process, moveJ.process].concat(rest(this.count - 2)))});
+			});
+		});
+		return transitions;
+	}
+
 	/** @public */
 	toString() {
 		return this.process.toString() + "^" + this.count;
@@ -235,6 +372,11 @@ class Exponent extends Process {
 	toHTML() {
 		return this.process.toHTML() + "<sup>" + this.count + "</sup>";
 	}
+
+	/** @public */
+	toLaTeX() {
+		return "{" + this.process.toLaTeX() + "}^{" + this.count + "}";
+	}
 }
 
 /** Restricts an input action and its co-action such that they can only execute by synchronising. */
@@ -255,6 +397,13 @@ class Restriction extends Process {
 		this.process = process;
 	}
 
+	/** @public */
+	transitions(definitions, unfolding = new Set()) {
+		return this.process.transitions(definitions, unfolding)
+			.filter(transition => transition.action instanceof InternalAction || transition.action.name !== this.action.name)
+			.map(transition => ({action: transition.action, process: new Restriction(this.action, transition.process)}));
+	}
+
 	/** @public */
 	toString() {
 		return "(ν" + this.action.toString() + ")" + this.process.toString();
@@ -264,6 +413,11 @@ class Restriction extends Process {
 	toHTML() {
 		return "(ν" + this.action.toHTML() + ")" + this.process.toHTML();
 	}
+
+	/** @public */
+	toLaTeX() {
+		return "(\\nu " + this.action.toLaTeX() + ")" + this.process.toLaTeX();
+	}
 }
 
 /** A constant process that is defined by a name. */
@@ -279,14 +433,43 @@ class Constant extends Process {
 		this.name = name;
 	}
 
+	/**
+	 * Unfolds the constant to its definition to find the transitions.
+	 *
+	 * @public
+	 */
+	transitions(definitions, unfolding = new Set()) {
+		if (!(definitions[this.name] instanceof Process)) {
+			throw new Error(`Constant ${this.name} is not defined.`);
+		}
+		if (unfolding.has(this.name)) {
+			throw new Error(`Constant ${this.name} is defined by unguarded recursion.`);
+		}
+		return definitions[this.name].transitions(definitions, new Set(unfolding).add(this.name));
+	}
+
 	/** @public */
 	toString() {
 		return this.name;
 	}
 
-	/** @public */
+	/**
+	 * Shows the place/transition of the name (like p3 in X_p3) as a subscript that is marked with the data-node
+	 * attribute such that it can be linked to the place/transition.
+	 *
+	 * @public
+	 */
 	toHTML() {
-		return this.name.replace(/_([pt]\d+)$/, "<sub>$1</sub>");
+		return this.name.replace(/^(.*)_([pt]\d+)$/, "<span data-node=\"$2\">$1<sub>$2</sub></span>");
+	}
+
+	/**
+	 * Writes the name in math mode where the place/transition (like p3 in X_p3) is a subscript.
+	 *
+	 * @public
+	 */
+	toLaTeX() {
+		return CCS.nameToLaTeX(this.name, /^(.*)_([pt]\d+)$/);
 	}
 }
 
@@ -313,13 +496,55 @@ class CCS {
 		this.process = process;
 	}
 
+	/**
+	 * Finds the transitions of a process (the initial process by default) using the definitions of this CCS.
+	 *
+	 * @public
+	 * @param {Process} process The process.
+	 * @return {{action: Action, process: Process}[]} The actions and the processes they lead to.
+	 * @throws {Error} If an undefined constant or unguarded recursion is encountered.
+	 */
+	transitions(process = this.process) {
+		return process.transitions(this.definitions);
+	}
+
 	/** @public */
 	toString() {
-		return Object.keys(this.definitions).map(name => name + " := " + this.definitions[name].toString()).join("\n") + "\n\n" + this.process.toString();
+		return Object.keys(this.definitions).map(name => name + " := " + this.definitions[name].toString() + "\n").join("") + (Object.keys(this.definitions).length ? "\n" : "") + this.process.toString();
 	}
 
 	/** @public */
 	toHTML() {
-		return Object.keys(this.definitions).map(name => name.replace(/_([pt]\d+)$/, "<sub>$1</sub>") + " := " + this.definitions[name].toHTML()).join("<br>") + "<br><br>" + this.process.toHTML();
+		return Object.keys(this.definitions).map(name => new Constant(name).toHTML() + " := " + this.definitions[name].toHTML() + "<br>").join("") + (Object.keys(this.definitions).length ? "<br>" : "") + this.process.toHTML();
+	}
+
+	/**
+	 * Writes the definitions and the initial process (last line) as an align*-environment of the amsmath package.
+	 *
+	 * @public
+	 */
+	toLaTeX() {
+		const lines = Object.keys(this.definitions).map(name => `  ${new Constant(name).toLaTeX()} &\\overset{\\mathrm{def}}{=} ${this.definitions[name].toLaTeX()}`);
+		lines.push(`  &${this.process.toLaTeX()}`);
+		return "\\begin{align*}\n" + lines.join(" \\\\\n") + "\n\\end{align*}";
+	}
+
+	/**
+	 * Writes a name of an action or a constant in math mode, where the second group matched by the given pattern
+	 * becomes a subscript.
+	 *
+	 * @package
+	 * @param {string} name     The name.
+	 * @param {RegExp} pattern  Pattern with two groups matching the name and the subscript.
+	 * @return {string} The name in LaTeX.
+	 */
+	static nameToLaTeX(name, pattern) {
+		const match = pattern.exec(name);
+		const escape = text => "\\mathit{" + text.replace(/_/g, "\\_") + "}";
+		return match === null ? escape(name) : escape(match[1]) + "_{" + match[2] + "}";
 	}
 }
+
+if (typeof module !== "undefined") {
+	module.exports = {Action, InputAction, CoAction, InternalAction, Process, Sequential, Inaction, Prefix, Choice, Parallel, Exponent, Restriction, Constant, CCS};
+}
@@ -0,0 +1,100 @@
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**********************************************************************
+ * This file contains printers of CCS in the abstract syntax tree     *
+ * (AST) in ccs.js in the syntax (dialect) of other CCS tools such    *
+ * that the encoding can be pasted directly into those tools.         *
+ **********************************************************************
+ * @public are functions that can be called from the outside          *
+ **********************************************************************/
+
+/**
+ * Dialect of CCS used by another tool. The dialects are:
+ * - caal: CAAL (Concurrency Workbench, Aalborg Edition) where constants are defined by `P = ...;`,
+ * - cwb: The Edinburgh Concurrency Workbench where constants are defined by `agent P = ...;`.
+ * Both dialects use `'a` for the co-action of a, `tau` for the internal action, `P\{a, b}` for restricting a and b
+ * in P and have no exponents, so P^n is written as the parallel composition of n copies of P. The initial process is
+ * defined as the constant Main (with underscores appended if Main is already used).
+ */
+class CCSDialect {
+	static CAAL = "caal";
+	static CWB = "cwb";
+	static NAMES = [CCSDialect.CAAL, CCSDialect.CWB];
+	name;
+
+	/**
+	 * @public
+	 * @param {string} name Name of the dialect.
+	 */
+	constructor(name) {
+		if (!CCSDialect.NAMES.includes(name)) {
+			throw new Error("Unknown CCS dialect.");
+		}
+		this.name = name;
+	}
+
+	/**
+	 * Writes CCS in this dialect.
+	 *
+	 * @public
+	 * @param {CCS} ccs The CCS.
+	 * @return {string} The CCS in this dialect.
+	 */
+	stringify(ccs) {
+		let main = "Main";
+		while (ccs.definitions[main] !== undefined) {
+			main += "_";
+		}
+		// An action named tau would become the internal action.
+		const action = action => action instanceof InternalAction ? "tau" : (action instanceof CoAction ? "'" : "") + (action.name === "tau" ? "tau_" : action.name);
+		const print = process => {
+			if (process instanceof Prefix) {
+				return action(process.action) + "." + print(process.process);
+			}
+			if (process instanceof Choice) {
+				return "(" + process.choices.map(print).join(" + ") + ")";
+			}
+			if (process instanceof Parallel) {
+				return "(" + process.processes.map(print).join(" | ") + ")";
+			}
+			if (process instanceof Exponent) {
+				if (process.count <= 1) {
+					return process.count === 0 ? "0" : print(process.process);
+				}
+				return "(" + new Array(process.count).fill(print(process.process)).join(" | ") + ")";
+			}
+			if (process instanceof Restriction) {
+				// Nested restrictions are written as one restriction of a set of actions.
+				const actions = [];
+				for (; process instanceof Restriction; process = process.process) {
+					actions.push(action(process.action));
+				}
+				const body = process instanceof Choice || process instanceof Parallel ? print(process) : "(" + print(process) + ")";
+				return body + "\\{" + actions.join(", ") + "}";
+			}
+			return process instanceof Constant ? process.name : "0";
+		};
+		const define = this.name === CCSDialect.CWB ? "agent " : "";
+		return Object.keys(ccs.definitions).concat([main]).map(name => `${define}${name} = ${print(name === main ? ccs.process : ccs.definitions[name])};\n`).join("");
+	}
+}
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./ccs.js"));
+	module.exports = {CCSDialect};
+}
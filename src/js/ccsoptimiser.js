@@ -0,0 +1,323 @@
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**********************************************************************
+ * This file contains an optimiser that simplifies CCS processes in   *
+ * the abstract syntax tree (AST) in ccs.js without changing their    *
+ * behaviour such that the CCS becomes smaller and easier to read.    *
+ **********************************************************************
+ * @public are functions that can be called from the outside          *
+ **********************************************************************/
+
+/**
+ * Optimiser for CCS that rewrites the definitions and the initial process in the following passes, which all give
+ * a process that is strongly bisimilar to the original process:
+ * 1. Dead-definition elimination: Constants that cannot be reached from the initial process are removed.
+ * 2. Inlining: Constants that are used exactly once, or are defined as 0 or another constant, are replaced by
+ *    their definitions unless they are recursive.
+ * 3. Flattening: Nested parallel compositions are flattened, and inactions and exponents of 0 and 1 are removed.
+ * 4. Exponent merging: Equal processes in a parallel composition are merged into one exponent (like P | P^2 into
+ *    P^3), and exponents of exponents are multiplied.
+ * 5. Pushing restrictions inward: A restriction only covers the processes in a parallel composition that use the
+ *    restricted action, and it is removed if no process uses it.
+ */
+class CCSOptimiser {
+	definitions;
+	process;
+	names = {};
+
+	/** @private */
+	constructor(ccs) {
+		if (!(ccs instanceof CCS)) {
+			throw new TypeError("CCS must be a CCS.");
+		}
+		this.definitions = Object.assign({}, ccs.definitions);
+		this.process = ccs.process;
+	}
+
+	/**
+	 * Optimises the given CCS (see CCSOptimiser), which is not changed.
+	 *
+	 * @public
+	 * @param {CCS} ccs The CCS to optimise.
+	 * @return {CCS} A smaller CCS with the same behaviour.
+	 */
+	static optimise(ccs) {
+		return new CCSOptimiser(ccs).optimiseCCS();
+	}
+
+	/** @private */
+	optimiseCCS() {
+		this.removeDeadDefinitions();
+		this.inline();
+		this.removeDeadDefinitions();
+		this.findNames();
+		Object.keys(this.definitions).forEach(name => this.definitions[name] = this.simplify(this.definitions[name]));
+		return new CCS(this.definitions, this.simplify(this.process));
+	}
+
+	/**
+	 * Finds the constants that are used by a process either directly or through the definitions of other constants.
+	 *
+	 * @private
+	 * @return {Set<string>} The names of the constants.
+	 */
+	findReachableConstants(process) {
+		const reachable = new Set();
+		const stack = [process];
+		while (stack.length > 0) {
+			CCSOptimiser.findConstants(stack.pop()).forEach(constant => {
+				if (!reachable.has(constant.name) && this.definitions[constant.name] !== undefined) {
+					reachable.add(constant.name);
+					stack.push(this.definitions[constant.name]);
+				}
+			});
+		}
+		return reachable;
+	}
+
+	/**
+	 * Finds all occurrences of constants in a process (without following the definitions).
+	 *
+	 * @private
+	 * @return {Constant[]} The constants in the order they occur.
+	 */
+	static findConstants(process) {
+		if (process instanceof Constant) {
+			return [process];
+		}
+		if (process instanceof Prefix || process instanceof Exponent || process instanceof Restriction) {
+			return CCSOptimiser.findConstants(process.process);
+		}
+		if (process instanceof Choice) {
+			return process.choices.flatMap(choice => CCSOptimiser.findConstants(choice));
+		}
+		if (process instanceof Parallel) {
+			return process.processes.flatMap(process => CCSOptimiser.findConstants(process));
+		}
+		return [];
+	}
+
+	/** @private */
+	removeDeadDefinitions() {
+		const reachable = this.findReachableConstants(this.process);
+		Object.keys(this.definitions).filter(name => !reachable.has(name)).forEach(name => delete this.definitions[name]);
+	}
+
+	/**
+	 * Inlines the constants one at a time until no more constants can be inlined, where a constant is kept if it
+	 * is used as P^n and its definition is a prefix or restriction since (a.P)^n would be read as a.(P^n).
+	 *
+	 * @private
+	 */
+	inline() {
+		const blocked = new Set();
+		for (let isChanged = true; isChanged;) {
+			isChanged = false;
+			const counts = {};
+			Object.values(this.definitions).concat([this.process]).forEach(process => CCSOptimiser.findConstants(process).forEach(constant => counts[constant.name] = (counts[constant.name] || 0) + 1));
+			for (const name of Object.keys(this.definitions)) {
+				const definition = this.definitions[name];
+				if (blocked.has(name) || !(counts[name] === 1 || definition instanceof Inaction || definition instanceof Constant) || this.findReachableConstants(definition).has(name)) {
+					continue;
+				}
+				const substitute = process => this.substitute(process, name, definition);
+				Object.keys(this.definitions).forEach(other => this.definitions[other] = substitute(this.definitions[other]));
+				this.process = substitute(this.process);
+				if (Object.values(this.definitions).concat([this.process]).some(process => CCSOptimiser.findConstants(process).some(constant => constant.name === name))) {
+					blocked.add(name);
+					continue;
+				}
+				delete this.definitions[name];
+				isChanged = true;
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Replaces the constant with the given name by its definition in a process.
+	 *
+	 * @private
+	 * @return {Process} The new process.
+	 */
+	substitute(process, name, definition) {
+		if (process instanceof Constant) {
+			return process.name === name ? definition : process;
+		}
+		if (process instanceof Prefix) {
+			return new Prefix(process.action, this.substitute(process.process, name, definition));
+		}
+		if (process instanceof Choice) {
+			return new Choice(process.choices.map(choice => this.substitute(choice, name, definition)));
+		}
+		if (process instanceof Parallel) {
+			return new Parallel(process.processes.map(process => this.substitute(process, name, definition)));
+		}
+		if (process instanceof Exponent) {
+			if (process.process instanceof Constant && (definition instanceof Prefix || definition instanceof Restriction)) {
+				return process;
+			}
+			return new Exponent(this.substitute(process.process, name, definition), process.count);
+		}
+		if (process instanceof Restriction) {
+			return new Restriction(process.action, this.substitute(process.process, name, definition));
+		}
+		return process;
+	}
+
+	/**
+	 * Finds the names of the actions (and co-actions) that each constant can perform (while unfolding constants) as
+	 * the least fixed point, which are used to decide where restrictions are needed.
+	 *
+	 * @private
+	 */
+	findNames() {
+		const names = Object.keys(this.definitions);
+		names.forEach(name => this.names[name] = new Set());
+		for (let isChanged = true; isChanged;) {
+			isChanged = false;
+			names.forEach(name => {
+				const size = this.names[name].size;
+				this.getNames(this.definitions[name]).forEach(actionName => this.names[name].add(actionName));
+				isChanged = isChanged || this.names[name].size !== size;
+			});
+		}
+	}
+
+	/**
+	 * Gets the names of the actions (and co-actions) of a process that are not restricted.
+	 *
+	 * @private
+	 * @return {Set<string>} The names of the actions.
+	 */
+	getNames(process) {
+		if (process instanceof Constant) {
+			return this.names[process.name] || new Set();
+		}
+		if (process instanceof Prefix) {
+			const names = new Set(this.getNames(process.process));
+			return process.action instanceof InternalAction ? names : names.add(process.action.name);
+		}
+		if (process instanceof Choice || process instanceof Parallel) {
+			return new Set((process instanceof Choice ? process.choices : process.processes).flatMap(process => Array.from(this.getNames(process))));
+		}
+		if (process instanceof Exponent) {
+			return this.getNames(process.process);
+		}
+		if (process instanceof Restriction) {
+			const names = new Set(this.getNames(process.process));
+			names.delete(process.action.name);
+			return names;
+		}
+		return new Set();
+	}
+
+	/**
+	 * Flattens parallel compositions, merges exponents and pushes restrictions inward from the inside and out.
+	 *
+	 * @private
+	 * @return {Process} The simplified process.
+	 */
+	simplify(process) {
+		if (process instanceof Prefix) {
+			return new Prefix(process.action, this.simplify(process.process));
+		}
+		if (process instanceof Choice) {
+			return new Choice(process.choices.map(choice => this.simplify(choice)));
+		}
+		if (process instanceof Parallel) {
+			return CCSOptimiser.merge(Parallel.compose(process.processes.map(process => this.simplify(process))));
+		}
+		if (process instanceof Exponent) {
+			const base = this.simplify(process.process);
+			if (process.count === 0 || base instanceof Inaction) {
+				return new Inaction();
+			}
+			if (process.count === 1) {
+				return base;
+			}
+			return base instanceof Exponent ? new Exponent(base.process, base.count * process.count) : new Exponent(base, process.count);
+		}
+		if (process instanceof Restriction) {
+			return this.restrict(process.action, this.simplify(process.process));
+		}
+		return process;
+	}
+
+	/**
+	 * Merges equal processes (and exponents of equal processes) in a parallel composition into one exponent at the
+	 * position of the first of them.
+	 *
+	 * @private
+	 * @return {Process} The merged process.
+	 */
+	static merge(process) {
+		if (!(process instanceof Parallel)) {
+			return process;
+		}
+		const counts = new Map();
+		process.processes.forEach(process => {
+			const base = process instanceof Exponent ? process.process : process;
+			const key = base.toString();
+			if (!counts.has(key)) {
+				counts.set(key, {base: base, count: 0});
+			}
+			counts.get(key).count += process instanceof Exponent ? process.count : 1;
+		});
+		return Parallel.compose(Array.from(counts.values(), ({base, count}) => count === 1 ? base : new Exponent(base, count)));
+	}
+
+	/**
+	 * Restricts an action in a process as far inside the process as possible, i.e. (νa)(P | Q) becomes (νa)P | Q
+	 * when Q does not use a, and (νa)P becomes P when P does not use a.
+	 *
+	 * @private
+	 * @return {Process} The restricted process.
+	 */
+	restrict(action, process) {
+		if (!this.getNames(process).has(action.name)) {
+			return process;
+		}
+		if (process instanceof Parallel) {
+			const inside = process.processes.filter(process => this.getNames(process).has(action.name));
+			if (inside.length < process.processes.length) {
+				const restricted = this.restrict(action, Parallel.compose(inside));
+				return Parallel.compose(process.processes.filter(process => process === inside[0] || !inside.includes(process)).map(process => process === inside[0] ? restricted : process));
+			}
+		}
+		if (process instanceof Restriction) {
+			// (νa)(νb)P is the same as (νb)(νa)P, so a is pushed past the restrictions, which are pushed again if a moved.
+			const actions = [];
+			let body = process;
+			for (; body instanceof Restriction; body = body.process) {
+				actions.push(body.action);
+			}
+			const restricted = this.restrict(action, body);
+			if (restricted instanceof Restriction && restricted.process === body) {
+				return actions.reduceRight((process, action) => new Restriction(action, process), restricted);
+			}
+			return actions.reduceRight((process, action) => this.restrict(action, process), restricted);
+		}
+		return new Restriction(action, process);
+	}
+}
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./ccs.js"));
+	module.exports = {CCSOptimiser};
+}
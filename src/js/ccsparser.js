@@ -0,0 +1,228 @@
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**********************************************************************
+ * This file contains a parser that reads CCS in the syntax written   *
+ * by CCS::toString back into the abstract syntax tree (AST) in       *
+ * ccs.js such that exported CCS-files can be loaded again.           *
+ **********************************************************************
+ * @public are functions that can be called from the outside          *
+ **********************************************************************/
+
+/** Syntax error in CCS with the position (line and column starting from 1) where it occurred. */
+class CCSSyntaxError extends Error {
+	line;
+	column;
+
+	/** @package */
+	constructor(message, line, column) {
+		super(`${message} at line ${line}, column ${column}.`);
+		this.name = "CCSSyntaxError";
+		this.line = line;
+		this.column = column;
+	}
+}
+
+/**
+ * Recursive descent parser for CCS with the grammar below, where parallel compositions and choices do not need
+ * parentheses (choice binds stronger than parallel composition, and prefixes, restrictions and exponents bind
+ * stronger than choice) and whitespace (including newlines) is ignored:
+ *
+ *   ccs        ::= (Constant ":=" process)* process
+ *   process    ::= choice ("|" choice)*
+ *   choice     ::= sequential ("+" sequential)*
+ *   sequential ::= action "." sequential | "(" "ν" name "?" ")" sequential | atom ("^" number)*
+ *   atom       ::= "0" | Constant | "(" process ")"
+ *   action     ::= name "?" | name "!" | "τ"
+ */
+class CCSParser {
+	static TOKENS = /\s+|(:=)|([a-z][a-zA-Z0-9_]*)|([A-Z][a-zA-Z0-9_]*)|(\d+)|([?!τν.|+^()])|(.)/gy;
+	text;
+	tokens = [];
+	index = 0;
+
+	/** @private */
+	constructor(text) {
+		if (typeof text !== "string") {
+			throw new TypeError("CCS must be given as a string.");
+		}
+		this.text = text;
+		let match;
+		CCSParser.TOKENS.lastIndex = 0;
+		while ((match = CCSParser.TOKENS.exec(text)) !== null) {
+			const [token, define, name, constant, number, symbol, invalid] = match;
+			if (invalid !== undefined) {
+				this.error(`Unexpected character '${invalid}'`, match.index);
+			}
+			if (token.trim()) {
+				const type = define !== undefined ? ":=" : name !== undefined ? "name" : constant !== undefined ? "constant" : number !== undefined ? "number" : symbol;
+				this.tokens.push({type: type, value: token, position: match.index});
+			}
+		}
+		this.tokens.push({type: "end", value: "end of input", position: text.length});
+	}
+
+	/**
+	 * Parses CCS in the syntax of CCS::toString (see the grammar of CCSParser) and checks that every constant
+	 * that is used, is defined exactly once.
+	 *
+	 * @public
+	 * @param {string} text The CCS.
+	 * @return {CCS} The CCS process with definitions.
+	 * @throws {CCSSyntaxError} If the CCS is invalid or uses undefined constants.
+	 */
+	static parse(text) {
+		return new CCSParser(text).parseCCS();
+	}
+
+	/** @private */
+	error(message, position) {
+		const lines = this.text.slice(0, position).split("\n");
+		throw new CCSSyntaxError(message, lines.length, lines[lines.length - 1].length + 1);
+	}
+
+	/** @private */
+	peek(offset = 0) {
+		return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+	}
+
+	/** @private */
+	accept(type) {
+		if (this.peek().type !== type) {
+			return null;
+		}
+		return this.tokens[this.index++];
+	}
+
+	/** @private */
+	expect(type, description = `'${type}'`) {
+		const token = this.accept(type);
+		if (token === null) {
+			this.error(`Expected ${description} but found '${this.peek().value}'`, this.peek().position);
+		}
+		return token;
+	}
+
+	/** @private */
+	parseCCS() {
+		const definitions = {};
+		while (this.peek().type === "constant" && this.peek(1).type === ":=") {
+			const name = this.expect("constant");
+			this.expect(":=");
+			if (definitions[name.value] !== undefined) {
+				this.error(`Constant ${name.value} is defined more than once`, name.position);
+			}
+			definitions[name.value] = this.parseProcess();
+		}
+		const process = this.parseProcess();
+		this.expect("end", "end of input");
+		// Check that all used constants are defined.
+		this.tokens.forEach((token, index) => {
+			if (token.type === "constant" && this.tokens[index + 1].type !== ":=" && definitions[token.value] === undefined) {
+				this.error(`Constant ${token.value} is not defined`, token.position);
+			}
+		});
+		return new CCS(definitions, process);
+	}
+
+	/** @private */
+	parseProcess() {
+		const processes = [this.parseChoice()];
+		while (this.accept("|") !== null) {
+			processes.push(this.parseChoice());
+		}
+		return processes.length === 1 ? processes[0] : new Parallel(processes);
+	}
+
+	/** @private */
+	parseChoice() {
+		const start = this.peek();
+		const choices = [this.parseSequential()];
+		while (this.accept("+") !== null) {
+			choices.push(this.parseSequential());
+		}
+		if (choices.length > 1 && !choices.every(choice => choice instanceof Prefix)) {
+			this.error("Choice must only be between prefixes", start.position);
+		}
+		return choices.length === 1 ? choices[0] : new Choice(choices);
+	}
+
+	/** @private */
+	parseSequential() {
+		if (this.peek().type === "(" && this.peek(1).type === "ν") {
+			this.expect("(");
+			this.expect("ν");
+			const name = this.expect("name", "an action name");
+			this.expect("?");
+			this.expect(")");
+			return new Restriction(new InputAction(name.value), this.parseSequential());
+		}
+		const action = this.parseAction();
+		if (action !== null) {
+			this.expect(".");
+			return new Prefix(action, this.parseSequential());
+		}
+		let process = this.parseAtom();
+		while (this.accept("^") !== null) {
+			process = new Exponent(process, +this.expect("number", "an exponent").value);
+		}
+		return process;
+	}
+
+	/** @private */
+	parseAction() {
+		if (this.accept("τ") !== null) {
+			return new InternalAction();
+		}
+		if (this.peek().type !== "name") {
+			return null;
+		}
+		const name = this.expect("name").value;
+		if (this.accept("?") !== null) {
+			return new InputAction(name);
+		}
+		if (this.accept("!") !== null) {
+			return new CoAction(name);
+		}
+		this.error(`Expected '?' or '!' but found '${this.peek().value}'`, this.peek().position);
+	}
+
+	/** @private */
+	parseAtom() {
+		const token = this.peek();
+		if (token.type === "number" && token.value === "0") {
+			this.index++;
+			return new Inaction();
+		}
+		if (token.type === "constant") {
+			this.index++;
+			return new Constant(token.value);
+		}
+		if (token.type === "(") {
+			this.index++;
+			const process = this.parseProcess();
+			this.expect(")");
+			return process;
+		}
+		this.error(`Expected a process but found '${token.value}'`, token.position);
+	}
+}
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./ccs.js"));
+	module.exports = {CCSSyntaxError, CCSParser};
+}
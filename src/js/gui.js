@@ -48,10 +48,15 @@ class GuiPlace extends Place {
 	setTokens(tokens) {
 		super.setTokens(tokens);
 		if (this.element) {
-			this.element.children[1].innerHTML = this.tokens > 3 ? "⬤x" + this.tokens : "⬤".repeat(this.tokens);
+			this.showTokens(this.tokens);
 		}
 	}
 
+	/** @package */
+	showTokens(tokens) {
+		this.element.children[1].innerHTML = tokens > 3 ? "⬤x" + tokens : "⬤".repeat(tokens);
+	}
+
 	/** @public */
 	setXY(x, y) {
 		if (!Number.isInteger(x) || !Number.isInteger(y)) {
@@ -125,6 +130,7 @@ class GuiTransition extends Transition {
 class GuiEdge extends Edge {
 	element;
 	line;
+	weightLabel;
 	points;
 
 	/** @public */
@@ -143,12 +149,40 @@ class GuiEdge extends Edge {
 		this.element.model = this;
 		this.element.innerHTML = `
 			<polyline class="edge" points="${points.map(point => `${point.x} ${point.y}`).join(" ")}" marker-end="url(#arrow${+isReadOnly})" />
+			<text class="attr weight"></text>
 		`;
 		this.line = this.element.children[0];
+		this.weightLabel = this.element.children[1];
 		this.points = Array.from(this.line.points).slice(1, -1).map((point, index) => new GuiEdgePoint(this, point, index + 1));
 		this.points.forEach(point => this.element.appendChild(point.element));
 		this.updateStartPoint();
 		this.updateEndPoint();
+		this.updateWeightLabel();
+	}
+
+	/** @public */
+	setWeight(weight) {
+		super.setWeight(weight);
+		if (this.element) {
+			this.updateWeightLabel();
+		}
+	}
+
+	/**
+	 * Shows the weight (if not 1) next to the middle of the middle line segment.
+	 *
+	 * @private
+	 */
+	updateWeightLabel() {
+		const n = this.line.points.length;
+		const start = this.line.points[(n >>> 1) - 1];
+		const end = this.line.points[n >>> 1];
+		const dx = end.x - start.x;
+		const dy = end.y - start.y;
+		const length = Math.sqrt(dx * dx + dy * dy) || 1;
+		this.weightLabel.setAttribute("x", Math.round((start.x + end.x) / 2 + dy / length * 14));
+		this.weightLabel.setAttribute("y", Math.round((start.y + end.y) / 2 - dx / length * 14 + 5));
+		this.weightLabel.innerHTML = this.weight === 1 ? "" : this.weight;
 	}
 
 	/** @private */
@@ -204,6 +238,7 @@ class GuiEdge extends Edge {
 		if (index >= n - 2) {
 			this.updateEndPoint();
 		}
+		this.updateWeightLabel();
 	}
 }
 
@@ -250,6 +285,21 @@ class GuiEdgePoint {
 
 /** Graphical representation of a Petri net with tons of bookkeeping for the current view. */
 class GuiPetriNet extends PetriNet {
+	static FORMATS = {
+		pnml: {name: "PNML", extension: ".pnml"},
+		tikz: {name: "TikZ", extension: ".tex"},
+	};
+	static IMAGE_FORMATS = {
+		svg: {name: "SVG", extension: ".svg"},
+		png: {name: "PNG", extension: ".png"},
+	};
+	static IMAGE_MARGIN = 10;
+	static IMAGE_STYLES = ["fill", "stroke", "stroke-width", "font-family", "font-size", "font-weight", "text-anchor", "alignment-baseline", "dominant-baseline", "opacity", "display", "stroke-dasharray"];
+	static IMAGE_STATE_CLASSES = ["selected", "highlighted", "violating", "linked", "enabled", "fired"];
+	static MIN_DISTANCE = 80;
+	static MIN_ZOOM = 0.1;
+	static MAX_ZOOM = 4;
+	static ZOOM_STEP = 1.25;
 	gui;
 	svg;
 	isReadOnly;
@@ -258,10 +308,19 @@ class GuiPetriNet extends PetriNet {
 	nodes;
 	viewX = 0;
 	viewY = 0;
+	zoom = 1;
 
 	selectedElement = null;
+	selectedGroup = [];
+	groupStart = [];
+	groupPoints = [];
+	clipboard = null;
+	pasteCount = 0;
+	rubberBand;
+	isSelecting = false;
 	isMoving = false;
 	isZooming = false;
+	pinchDistance = 0;
 	hasMoved = false;
 	moveElement = null;
 	animationFrame = 0;
@@ -272,6 +331,8 @@ class GuiPetriNet extends PetriNet {
 	lastX = 0;
 	lastY = 0;
 	isBatch = false;
+	marking = null;
+	history = null;
 
 	/** @package */
 	constructor(gui, svg, isReadOnly) {
@@ -297,11 +358,13 @@ class GuiPetriNet extends PetriNet {
 			<polyline class="edge" marker-start="url(#dot)" marker-mid="url(#dot)" marker-end="url(#dot)" />
 			<g id="arcs"></g>
 			<g id="nodes"></g>
+			<rect class="rubber-band" />
 		`;
 		this.isReadOnly = isReadOnly;
 		this.tempEdge = this.svg.children[2];
 		this.arcs = this.svg.children[3];
 		this.nodes = this.svg.children[4];
+		this.rubberBand = this.svg.children[5];
 		this.svg.addEventListener("dragover", this.onDragOver.bind(this));
 		this.svg.addEventListener("drop", this.onDrop.bind(this));
 		this.svg.addEventListener("pointerdown", this.onPointerDown.bind(this));
@@ -313,6 +376,9 @@ class GuiPetriNet extends PetriNet {
 		this.svg.addEventListener("touchstart", this.onTouchStart.bind(this));
 		this.svg.addEventListener("touchmove", this.onTouchMove.bind(this));
 		this.svg.addEventListener("touchend", this.onTouchEnd.bind(this));
+		this.svg.addEventListener("wheel", this.onWheel.bind(this));
+		this.svg.addEventListener("mouseover", this.onMouseOver.bind(this));
+		this.svg.addEventListener("mouseleave", this.onMouseLeave.bind(this));
 		this.onResize();
 	}
 
@@ -323,6 +389,32 @@ class GuiPetriNet extends PetriNet {
 		}
 	}
 
+	/**
+	 * Records an edit as an operation of the current command in the undo/redo history (if any, see GuiHistory).
+	 *
+	 * @private
+	 * @param {function(): void} undo Function that reverts the edit.
+	 * @param {function(): void} redo Function that makes the edit again.
+	 */
+	record(undo, redo) {
+		if (this.history !== null) {
+			this.history.add({undo: undo, redo: redo});
+		}
+	}
+
+	/**
+	 * Inserts an item at the index it was removed from, where the last item was moved to (like when removing
+	 * places, transitions and edges), such that the order of the items is the same as before the removal.
+	 *
+	 * @private
+	 */
+	static reinsert(array, index, item) {
+		if (index < array.length) {
+			array.push(array[index]);
+		}
+		array[index] = item;
+	}
+
 	/** @public */
 	addPlace(nameId, tokens, x, y) {
 		if (nameId === Node.AUTO_NAME_ID || this.placeNames[nameId]) {
@@ -332,6 +424,7 @@ class GuiPetriNet extends PetriNet {
 		this.places.push(place);
 		this.placeNames[nameId] = true;
 		this.nodes.appendChild(place.element);
+		this.record(() => this.removePlace(place), () => this.insertNode(place));
 		this.update();
 		return place;
 	}
@@ -345,10 +438,25 @@ class GuiPetriNet extends PetriNet {
 		this.transitions.push(transition);
 		this.transitionNames[nameId] = true;
 		this.nodes.appendChild(transition.element);
+		this.record(() => this.removeTransition(transition), () => this.insertNode(transition));
 		this.update();
 		return transition;
 	}
 
+	/**
+	 * Inserts a removed place/transition (without edges) again with the id it had.
+	 *
+	 * @private
+	 */
+	insertNode(node) {
+		const nodes = node instanceof GuiPlace ? this.places : this.transitions;
+		GuiPetriNet.reinsert(nodes, node.id, node);
+		nodes[nodes.length - 1].setId(nodes.length - 1);
+		(node instanceof GuiPlace ? this.placeNames : this.transitionNames)[node.nameId] = true;
+		this.nodes.appendChild(node.element);
+		this.update();
+	}
+
 	/** @public */
 	addEdge(from, to, weight, points) {
 		if (this.places[from.id] !== from && this.transitions[from.id] !== from) {
@@ -360,10 +468,27 @@ class GuiPetriNet extends PetriNet {
 		const edge = new GuiEdge(this.edges.length, from, to, weight, points, this.isReadOnly);
 		this.edges.push(edge);
 		this.arcs.appendChild(edge.element);
+		const outIndex = from.out.length - 1;
+		const inIndex = to.in.length - 1;
+		this.record(() => this.removeEdge(edge), () => this.insertEdge(edge, outIndex, inIndex));
 		this.update();
 		return edge;
 	}
 
+	/**
+	 * Inserts a removed edge again with the id and the positions in the edges of its places/transitions it had.
+	 *
+	 * @private
+	 */
+	insertEdge(edge, outIndex, inIndex) {
+		GuiPetriNet.reinsert(edge.from.out, outIndex, edge);
+		GuiPetriNet.reinsert(edge.to.in, inIndex, edge);
+		GuiPetriNet.reinsert(this.edges, edge.id, edge);
+		this.edges[this.edges.length - 1].setId(this.edges.length - 1);
+		this.arcs.appendChild(edge.element);
+		this.update();
+	}
+
 	/** @public */
 	addDirectEdge(from, to, weight) {
 		const source = this.svg.createSVGPoint();
@@ -383,8 +508,12 @@ class GuiPetriNet extends PetriNet {
 		if (this.places[place.id] !== place) {
 			throw new Error("Unrelated place cannot be removed.");
 		}
+		// Remove the edges as part of the same update (and edit).
+		const isBatch = this.isBatch;
+		this.isBatch = true;
 		place.in.slice().forEach(edge => this.removeEdge(edge));
 		place.out.slice().forEach(edge => this.removeEdge(edge));
+		this.isBatch = isBatch;
 		const otherPlace = this.places[this.places.length - 1];
 		otherPlace.setId(place.id);
 		this.places[place.id] = otherPlace;
@@ -392,6 +521,7 @@ class GuiPetriNet extends PetriNet {
 		delete this.placeNames[place.nameId];
 		this.placeNames.length = this.placeNames.lastIndexOf(true) + 1;
 		this.nodes.removeChild(place.element);
+		this.record(() => this.insertNode(place), () => this.removePlace(place));
 		this.update();
 	}
 
@@ -403,8 +533,12 @@ class GuiPetriNet extends PetriNet {
 		if (this.transitions[transition.id] !== transition) {
 			throw new Error("Unrelated transition cannot be removed.");
 		}
+		// Remove the edges as part of the same update (and edit).
+		const isBatch = this.isBatch;
+		this.isBatch = true;
 		transition.in.slice().forEach(edge => this.removeEdge(edge));
 		transition.out.slice().forEach(edge => this.removeEdge(edge));
+		this.isBatch = isBatch;
 		const otherTransition = this.transitions[this.transitions.length - 1];
 		otherTransition.setId(transition.id);
 		this.transitions[transition.id] = otherTransition;
@@ -412,6 +546,7 @@ class GuiPetriNet extends PetriNet {
 		delete this.transitionNames[transition.nameId];
 		this.transitionNames.length = this.transitionNames.lastIndexOf(true) + 1;
 		this.nodes.removeChild(transition.element);
+		this.record(() => this.insertNode(transition), () => this.removeTransition(transition));
 		this.update();
 	}
 
@@ -423,6 +558,8 @@ class GuiPetriNet extends PetriNet {
 		if (this.edges[edge.id] !== edge) {
 			throw new Error("Unrelated edge cannot be removed.");
 		}
+		const outIndex = edge.from.out.indexOf(edge);
+		const inIndex = edge.to.in.indexOf(edge);
 		edge.from.removeEdge(edge);
 		edge.to.removeEdge(edge);
 		const otherEdge = this.edges[this.edges.length - 1];
@@ -430,6 +567,7 @@ class GuiPetriNet extends PetriNet {
 		this.edges[edge.id] = otherEdge;
 		this.edges.pop();
 		this.arcs.removeChild(edge.element);
+		this.record(() => this.insertEdge(edge, outIndex, inIndex), () => this.removeEdge(edge));
 		this.update();
 	}
 
@@ -449,11 +587,15 @@ class GuiPetriNet extends PetriNet {
 		if (place === undefined) {
 			throw new Error("Unrelated place cannot be updated.");
 		}
+		const {nameId: oldNameId, tokens: oldTokens} = place;
 		delete this.placeNames[place.nameId];
 		place.setNameId(nameId);
 		place.setTokens(tokens);
 		this.placeNames[place.nameId] = true;
 		this.placeNames.length = this.placeNames.lastIndexOf(true) + 1;
+		if (place.nameId !== oldNameId || place.tokens !== oldTokens) {
+			this.record(() => this.updatePlace(place.id, oldNameId, oldTokens), () => this.updatePlace(place.id, nameId, tokens));
+		}
 		this.update();
 	}
 
@@ -463,11 +605,29 @@ class GuiPetriNet extends PetriNet {
 		if (transition === undefined) {
 			throw new Error("Unrelated transition cannot be updated.");
 		}
+		const {nameId: oldNameId, label: oldLabel} = transition;
 		delete this.transitionNames[transition.nameId];
 		transition.setNameId(nameId);
 		transition.setLabel(label);
 		this.transitionNames[transition.nameId] = true;
 		this.transitionNames.length = this.transitionNames.lastIndexOf(true) + 1;
+		if (transition.nameId !== oldNameId || transition.label !== oldLabel) {
+			this.record(() => this.updateTransition(transition.id, oldNameId, oldLabel), () => this.updateTransition(transition.id, nameId, label));
+		}
+		this.update();
+	}
+
+	/** @public */
+	updateEdge(edgeId, weight) {
+		const edge = this.edges[edgeId];
+		if (edge === undefined) {
+			throw new Error("Unrelated edge cannot be updated.");
+		}
+		const oldWeight = edge.weight;
+		edge.setWeight(weight);
+		if (edge.weight !== oldWeight) {
+			this.record(() => this.updateEdge(edge.id, oldWeight), () => this.updateEdge(edge.id, weight));
+		}
 		this.update();
 	}
 
@@ -492,16 +652,31 @@ class GuiPetriNet extends PetriNet {
 	/** @public */
 	clear() {
 		this.isBatch = true;
+		this.stopSimulation();
 		this.setSelectedElement(null);
 		this.isMoving = false;
 		this.isZooming = false;
 		this.hasMoved = false;
 		this.viewX = 0;
 		this.viewY = 0;
+		this.zoom = 1;
 		if (this.animationFrame !== 0) {
 			window.cancelAnimationFrame(this.animationFrame);
 			this.animationFrame = 0;
 		}
+		this.removeAll();
+		this.onResize();
+		this.isBatch = false;
+		this.update();
+	}
+
+	/**
+	 * Removes all places, transitions and edges (without changing the view).
+	 *
+	 * @private
+	 */
+	removeAll() {
+		const {places, transitions, edges} = this;
 		this.places = [];
 		this.transitions = [];
 		this.edges = [];
@@ -509,23 +684,60 @@ class GuiPetriNet extends PetriNet {
 		this.arcs.innerHTML = "";
 		this.placeNames = [true];
 		this.transitionNames = [true];
-		this.onResize();
-		this.isBatch = false;
+		this.record(() => this.insertAll(places, transitions, edges), () => this.removeAll());
+	}
+
+	/**
+	 * Inserts all places, transitions and edges again after they were removed by GuiPetriNet::removeAll.
+	 *
+	 * @private
+	 */
+	insertAll(places, transitions, edges) {
+		this.places = places.slice();
+		this.transitions = transitions.slice();
+		this.edges = edges.slice();
+		this.places.concat(this.transitions).forEach(node => {
+			(node instanceof GuiPlace ? this.placeNames : this.transitionNames)[node.nameId] = true;
+			this.nodes.appendChild(node.element);
+		});
+		this.edges.forEach(edge => this.arcs.appendChild(edge.element));
 		this.update();
 	}
 
+	/**
+	 * Records that places, transitions and points on edges have been moved (like GuiPetriNet::layout or dragging a
+	 * group) such that the move can be undone.
+	 *
+	 * @private
+	 * @param {Array<GuiPlace|GuiTransition|GuiEdgePoint>} models The moved places, transitions and points.
+	 * @param {{x: number, y: number}[]} starts                    The positions before the move.
+	 */
+	recordMove(models, starts) {
+		const ends = models.map(model => ({x: model.x, y: model.y}));
+		if (ends.every((end, i) => end.x === starts[i].x && end.y === starts[i].y)) {
+			return;
+		}
+		const move = positions => () => {
+			models.forEach((model, i) => model.setXY(positions[i].x, positions[i].y));
+			this.update();
+		};
+		this.record(move(starts.map(start => ({x: start.x, y: start.y}))), move(ends));
+	}
+
 	/**
 	 * Updates this Petri net to be the 2-τ-synchronisation net obtained by transforming the given Petri net into
 	 * a 2-τ-synchronisation net like in PetriNet::to2TauSynchronisationNet, except that this also takes
-	 * position information into account. In particular, it makes space between places and transitions that
-	 * are affected to be sure that there are no overlapping places and transitions.
+	 * position information into account. The places and transitions of the given Petri net keep their positions,
+	 * and the extra places and transitions are put between the synchronised places and the transitions at free
+	 * positions (see GuiPetriNet::findFreePosition) to be sure that there are no overlapping places and transitions.
 	 *
 	 * @public
 	 * @param {GuiPetriNet} Petri net to transform into a 2-τ-synchronisation net.
+	 * @param {SynchronisationStrategy} strategy Strategy for the synchronisation pattern (random by default).
 	 * @return {boolean} True iff the given Petri net could be encoded into a 2-τ-synchronisation net.
 	 * @throws {Error} If the given Petri net is not a 2-τ-synchronisation net or a group-choice net.
 	 * */
-	update2TauSynchronisationNet(petriNet) {
+	update2TauSynchronisationNet(petriNet, strategy = new SynchronisationStrategy()) {
 		if (!this.isReadOnly) {
 			throw new Error("Cannot update editable Petri net to a 2-τ-synchronisation.");
 		}
@@ -535,14 +747,11 @@ class GuiPetriNet extends PetriNet {
 		if (!is2TauSynchronisationNet && !petriNet.isGroupChoiceNet()) {
 			return false;
 		}
-		// Copy Petri net.
-		petriNet.places.forEach(place => this.addPlace(place.nameId, place.tokens, place.x, place.y));
-		petriNet.transitions.forEach(transition => this.addTransition(transition.nameId, transition.label, transition.x, transition.y));
-		petriNet.places.forEach(place => place.out.forEach(edge => this.addEdge(this.places[edge.from.id], this.transitions[edge.to.id], edge.weight, Array.from(edge.line.points))));
-		petriNet.transitions.forEach(transition => transition.out.forEach(edge => this.addEdge(this.transitions[edge.from.id], this.places[edge.to.id], edge.weight, Array.from(edge.line.points))));
+		this.copy(petriNet);
 		if (is2TauSynchronisationNet) {
 			return true;
 		}
+		const generatePattern = strategy.createPatternGenerator();
 		this.transitions.forEach(transition => {
 			if (transition.in.length <= (transition.label === "τ" ? 2 : 1)) {
 				// Already satisfies the 2-τ-synchronisation net constraints.
@@ -550,56 +759,26 @@ class GuiPetriNet extends PetriNet {
 			}
 			const places = transition.in.map(edge => edge.from);
 			const transitions = places[0].out.map(edge => edge.to);
-			// Generate the random synchronisation pattern.
+			// Generate the synchronisation pattern.
 			const done = transitions.every(transition => transition.label === "τ") ? 2 : 1;
-			const order = [];
-			for (let i = places.length - 1; i >= done; i--) {
-				const first = Math.floor(i * Math.random());
-				const second = Math.floor((i - 1) * Math.random());
-				order.push(Math.min(first, second), Math.max(first, second + (first <= second)));
-			}
-			// Calculate how much space is needed between the places and transitions to fit the chosen synchronisation pattern.
-			const layers = [0];
-			let lastIndex = 0;
-			let numLayers = 1;
-			let maxNodes = 1;
-			for (let i = 2; i < order.length; i++) {
-				for (let j = lastIndex; j < i; j += 2) {
-					if (order[i] === order[j]) {
-						maxNodes = Math.max(maxNodes, (i - lastIndex) >>> 1);
-						lastIndex = i - (i & 1);
-						numLayers++;
-						break;
-					}
-				}
-				if (i & 1) {
-					layers.push(numLayers - 1);
-				}
-			}
-			const totalHeight = 60 * maxNodes;
-			const totalWidth = 210 * numLayers + 20;
-			const xCut = transitions.reduce((xCut, transition) => Math.min(transition.x, xCut), transitions[0].x);
-			const yMid = Math.round(transitions.reduce((ySum, transition) => transition.y + ySum, 0) / transitions.length / 5) * 5 - totalHeight / 2;
-			// Move all places and transitions that need to be moved to make space enough.
-			this.places.forEach(place => place.setXY(place.x + 70 < xCut ? place.x : place.x + totalWidth, place.y));
-			this.transitions.forEach(transition => transition.setXY(transition.x + 75 < xCut ? transition.x : transition.x + totalWidth, transition.y));
+			const order = generatePattern(places.length, done);
 			// Remove all outgoing edges from affected places (and ingoing edges from affected transitions).
 			places.forEach(place => place.out.slice().forEach(edge => this.removeEdge(edge)));
-			// Synchronise places in pairs with positions based on the synchronisation pattern.
-			let nodeIndex = 0;
+			// Synchronise places in pairs with positions between the places and the transitions.
+			const xTarget = transitions.reduce((xSum, transition) => transition.x + xSum, 0) / transitions.length;
+			const yTarget = transitions.reduce((ySum, transition) => transition.y + ySum, 0) / transitions.length;
 			for (let i = 0; i < order.length; i += 2) {
-				if (nodeIndex > 0 && layers[(i - 2) >>> 1] != layers[i >>> 1]) {
-					nodeIndex = 0;
-				}
-				const newTransition = this.addTransition(Node.AUTO_NAME_ID, "τ", xCut + 20 + layers[i >>> 1] * 210, yMid + 30 + nodeIndex * 70);
-				const newPlace = this.addPlace(Node.AUTO_NAME_ID, 0, newTransition.x + 105, newTransition.y);
+				const [a, b] = [places[order[i]], places[order[i + 1]]];
+				const transitionPosition = this.findFreePosition((a.x + b.x + xTarget) / 3, (a.y + b.y + yTarget) / 3);
+				const newTransition = this.addTransition(Node.AUTO_NAME_ID, "τ", transitionPosition.x, transitionPosition.y);
+				const placePosition = this.findFreePosition((newTransition.x + xTarget) / 2, (newTransition.y + yTarget) / 2);
+				const newPlace = this.addPlace(Node.AUTO_NAME_ID, 0, placePosition.x, placePosition.y);
 				this.addDirectEdge(places[order[i]], newTransition, 1);
 				this.addDirectEdge(places[order[i + 1]], newTransition, 1);
 				this.addDirectEdge(newTransition, newPlace, 1);
 				places[order[i]] = newPlace;
 				places[order[i + 1]] = places[places.length - 1];
 				places.pop();
-				nodeIndex++;
 			}
 			// Add the edges from the final place to all transitions.
 			places.forEach(place => transitions.forEach(transition => this.addDirectEdge(place, transition, 1)));
@@ -607,81 +786,308 @@ class GuiPetriNet extends PetriNet {
 		return true;
 	}
 
-	/** @public */
-	import(text) {
+	/**
+	 * Finds the free position on the grid closest to the given position, where a position is free if all places
+	 * and transitions are at least GuiPetriNet.MIN_DISTANCE away horizontally or vertically, such that a place or
+	 * transition at the position does not overlap with them. The positions are searched in growing squares around
+	 * the given position.
+	 *
+	 * @private
+	 * @param {number} x The preferred x-coordinate.
+	 * @param {number} y The preferred y-coordinate.
+	 * @return {{x: number, y: number}} The free position.
+	 */
+	findFreePosition(x, y) {
+		x = Math.round(x / 10) * 10;
+		y = Math.round(y / 10) * 10;
+		const nodes = this.places.concat(this.transitions);
+		const isFree = position => nodes.every(node => Math.max(Math.abs(node.x - position.x), Math.abs(node.y - position.y)) >= GuiPetriNet.MIN_DISTANCE);
+		for (let size = 0; ; size += 10) {
+			const positions = [];
+			for (let dx = -size; dx <= size; dx += 10) {
+				for (let dy = -size; dy <= size; dy += 10) {
+					if (Math.max(Math.abs(dx), Math.abs(dy)) === size) {
+						positions.push({x: x + dx, y: y + dy});
+					}
+				}
+			}
+			const free = positions.filter(isFree).sort((a, b) => Math.hypot(a.x - x, a.y - y) - Math.hypot(b.x - x, b.y - y));
+			if (free.length) {
+				return free[0];
+			}
+		}
+	}
+
+	/**
+	 * Adds the places, transitions and edges of the given Petri net (with the same positions and points) to this
+	 * Petri net.
+	 *
+	 * @private
+	 */
+	copy(petriNet) {
+		petriNet.places.forEach(place => this.addPlace(place.nameId, place.tokens, place.x, place.y));
+		petriNet.transitions.forEach(transition => this.addTransition(transition.nameId, transition.label, transition.x, transition.y));
+		petriNet.places.forEach(place => place.out.forEach(edge => this.addEdge(this.places[edge.from.id], this.transitions[edge.to.id], edge.weight, Array.from(edge.line.points))));
+		petriNet.transitions.forEach(transition => transition.out.forEach(edge => this.addEdge(this.transitions[edge.from.id], this.places[edge.to.id], edge.weight, Array.from(edge.line.points))));
+	}
+
+	/**
+	 * Applies the edits of a repair like Repair::apply as one edit, except that this also takes position information
+	 * into account: A new place from splitting a place is put between the place and the transitions it takes over.
+	 *
+	 * @public
+	 * @param {Repair} repair The repair to apply.
+	 * @return {Node[]} The places/transitions that are changed or added by the repair.
+	 * @throws {Error} If this Petri net does not have the places/transitions of the repair.
+	 */
+	applyRepair(repair) {
+		const find = name => {
+			const [node] = this.findNodes(name);
+			if (node === undefined) {
+				throw new Error(`Petri net does not have ${name}.`);
+			}
+			return node;
+		};
+		const isBatch = this.isBatch;
+		this.isBatch = true;
+		this.setSelectedElement(null);
+		const nodes = new Set();
+		try {
+			repair.edits.forEach(edit => {
+				const node = find(edit.node);
+				nodes.add(node);
+				if (edit.type === RepairEdit.RELABEL) {
+					this.updateTransition(node.id, node.nameId, "τ");
+					return;
+				}
+				const transitions = edit.transitions.map(find);
+				const average = coordinate => Math.round((node[coordinate] + transitions.reduce((sum, transition) => sum + transition[coordinate], 0)) / (transitions.length + 1) / 10) * 10;
+				const newPlace = this.addPlace(Node.AUTO_NAME_ID, node.tokens, average("x"), average("y"));
+				nodes.add(newPlace);
+				node.in.forEach(edge => this.addDirectEdge(edge.from, newPlace, edge.weight));
+				node.out.filter(edge => transitions.includes(edge.to)).forEach(edge => {
+					this.addDirectEdge(newPlace, edge.to, edge.weight);
+					this.removeEdge(edge);
+				});
+			});
+		} finally {
+			this.isBatch = isBatch;
+		}
+		this.update();
+		return Array.from(nodes);
+	}
+
+	/**
+	 * Updates this Petri net to be the given Petri net repaired by the given repair, where the places/transitions
+	 * that are changed or added by the repair are highlighted.
+	 *
+	 * @public
+	 * @param {GuiPetriNet} petriNet Petri net to repair.
+	 * @param {Repair} repair        The repair to preview.
+	 */
+	previewRepair(petriNet, repair) {
+		if (!this.isReadOnly) {
+			throw new Error("Cannot preview a repair in an editable Petri net.");
+		}
+		this.clear();
+		this.copy(petriNet);
+		this.highlight(this.applyRepair(repair));
+	}
+
+	/**
+	 * Moves all places and transitions to the positions of a layered layout (see LayeredLayout) and replaces the
+	 * points on all edges by the points of the layout.
+	 *
+	 * @public
+	 */
+	layout() {
+		const layout = new LayeredLayout(this);
+		const isBatch = this.isBatch;
+		this.isBatch = true;
+		this.setSelectedElement(null);
+		const nodes = this.places.concat(this.transitions);
+		const starts = nodes.map(node => ({x: node.x, y: node.y}));
+		this.places.forEach(place => place.setXY(layout.places[place.id].x, layout.places[place.id].y));
+		this.transitions.forEach(transition => transition.setXY(layout.transitions[transition.id].x, layout.transitions[transition.id].y));
+		this.recordMove(nodes, starts);
+		// Add the edges again since the number of points on an edge cannot be changed.
+		const edges = this.edges.map(edge => ({from: edge.from, to: edge.to, weight: edge.weight, points: layout.edges[edge.id]}));
+		this.edges.slice().forEach(edge => this.removeEdge(edge));
+		edges.forEach(edge => {
+			this.addTempPoint(edge.from.x, edge.from.y);
+			edge.points.forEach(point => this.addTempPoint(point.x, point.y));
+			this.addTempPoint(edge.to.x, edge.to.y);
+			this.addEdge(edge.from, edge.to, edge.weight, Array.from(this.tempEdge.points));
+			this.tempEdge.points.clear();
+		});
+		this.isBatch = isBatch;
+		this.update();
+	}
+
+	/**
+	 * Gets the state of this Petri net (with positions and points) as plain objects that can be restored.
+	 *
+	 * @public
+	 * @return {Object} The state of the Petri net.
+	 */
+	getState() {
+		return {
+			places: this.places.map(place => ({nameId: place.nameId, tokens: place.tokens, x: place.x, y: place.y})),
+			transitions: this.transitions.map(transition => ({nameId: transition.nameId, label: transition.label, x: transition.x, y: transition.y})),
+			edges: this.edges.map(edge => ({
+				isFromPlace: edge.from instanceof GuiPlace,
+				from: edge.from.id,
+				to: edge.to.id,
+				weight: edge.weight,
+				points: Array.from(edge.line.points, point => ({x: point.x, y: point.y})),
+			})),
+		};
+	}
+
+	/**
+	 * Encodes this Petri net compactly for the fragment of a URL, where the state (see GuiPetriNet::getState) is
+	 * written as JSON arrays (positions in units of the grid and only the points between the ends of edges) in
+	 * URL-safe base64.
+	 *
+	 * @public
+	 * @return {string} The encoded Petri net.
+	 */
+	encode() {
+		const state = this.getState();
+		const compact = [
+			state.places.map(place => [place.nameId, place.tokens, place.x / 10, place.y / 10]),
+			state.transitions.map(transition => [transition.nameId, transition.label, transition.x / 10, transition.y / 10]),
+			state.edges.map(edge => [+edge.isFromPlace, edge.from, edge.to, edge.weight].concat(edge.points.slice(1, -1).flatMap(point => [Math.round(point.x / 10), Math.round(point.y / 10)]))),
+		];
+		const bytes = new TextEncoder().encode(JSON.stringify(compact));
+		return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join("")).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+	}
+
+	/**
+	 * Decodes a Petri net encoded by GuiPetriNet::encode into a state that can be restored.
+	 *
+	 * @public
+	 * @param {string} text The encoded Petri net.
+	 * @return {Object} The state of the Petri net.
+	 * @throws {Error} If the text is not an encoded Petri net.
+	 */
+	static decode(text) {
+		let compact;
+		try {
+			const bytes = Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), char => char.charCodeAt(0));
+			compact = JSON.parse(new TextDecoder().decode(bytes));
+		} catch(error) {
+			throw new Error("The link does not contain a Petri net.");
+		}
+		const isNumbers = (array, length) => Array.isArray(array) && array.length >= length && array.every((value, i) => Number.isInteger(value) || (i === 1 && typeof value === "string"));
+		if (!Array.isArray(compact) || compact.length !== 3 || !compact.every(Array.isArray)
+			|| !compact[0].every(place => isNumbers(place, 4) && place[0] >= 1 && typeof place[1] === "number")
+			|| !compact[1].every(transition => isNumbers(transition, 4) && transition[0] >= 1 && typeof transition[1] === "string")
+			|| !compact[2].every(edge => isNumbers(edge, 4) && typeof edge[1] === "number" && edge.length % 2 === 0)) {
+			throw new Error("The link does not contain a Petri net.");
+		}
+		const [places, transitions, edges] = compact;
+		const node = (isPlace, id) => {
+			const node = (isPlace ? places : transitions)[id];
+			if (node === undefined) {
+				throw new Error("The link contains an edge between unknown places/transitions.");
+			}
+			return {x: node[2] * 10, y: node[3] * 10};
+		};
+		return {
+			places: places.map(place => ({nameId: place[0], tokens: place[1], x: place[2] * 10, y: place[3] * 10})),
+			transitions: transitions.map(transition => ({nameId: transition[0], label: transition[1], x: transition[2] * 10, y: transition[3] * 10})),
+			edges: edges.map(edge => {
+				const points = [];
+				for (let i = 4; i < edge.length; i += 2) {
+					points.push({x: edge[i] * 10, y: edge[i + 1] * 10});
+				}
+				return {
+					isFromPlace: edge[0] === 1,
+					from: edge[1],
+					to: edge[2],
+					weight: edge[3],
+					points: [node(edge[0] === 1, edge[1])].concat(points, [node(edge[0] !== 1, edge[2])]),
+				};
+			}),
+		};
+	}
+
+	/**
+	 * Restores a state of this Petri net (see GuiPetriNet::getState) without changing the view.
+	 *
+	 * @public
+	 * @param {Object} state The state of the Petri net.
+	 */
+	restore(state) {
+		if (this.isReadOnly) {
+			throw new Error("Cannot restore a read-only Petri net.");
+		}
+		this.isBatch = true;
+		try {
+			this.setSelectedElement(null);
+			this.removeAll();
+			state.places.forEach(place => this.addPlace(place.nameId, place.tokens, place.x, place.y));
+			state.transitions.forEach(transition => this.addTransition(transition.nameId, transition.label, transition.x, transition.y));
+			state.edges.forEach(edge => {
+				const from = edge.isFromPlace ? this.places[edge.from] : this.transitions[edge.from];
+				const to = edge.isFromPlace ? this.transitions[edge.to] : this.places[edge.to];
+				edge.points.forEach(point => this.addTempPoint(point.x, point.y));
+				this.addEdge(from, to, edge.weight, Array.from(this.tempEdge.points));
+				this.tempEdge.points.clear();
+			});
+		} finally {
+			this.tempEdge.points.clear();
+			this.isBatch = false;
+		}
+		this.update();
+	}
+
+	/**
+	 * Imports a PNML-file (see PNML::parse). The Petri net is laid out (see GuiPetriNet::layout) if chosen or if
+	 * some places/transitions have no position in the PNML-file.
+	 *
+	 * @public
+	 * @param {string} text          The PNML-file.
+	 * @param {boolean} isLayoutUsed True iff the positions in the PNML-file should be replaced by the layout.
+	 * @throws {Error} If the PNML-file is invalid.
+	 */
+	import(text, isLayoutUsed = false) {
 		if (this.isReadOnly) {
 			throw new Error("Cannot import in a read-only Petri net.");
 		}
 		this.clear();
 		this.isBatch = true;
 		try {
-			const parser = new DOMParser();
-			let xml;
-			try {
-				xml = parser.parseFromString(text, "application/xml");
-			} catch(error) {
-				throw new Error("Invalid XML");
-			}
-			const nodes = {};
+			const pnml = PNML.parse(text);
+			const nodes = new Map();
 			// Import places.
-			xml.querySelectorAll("net>place, page>place").forEach((place, index) => {
-				if (!place.id) {
-					throw new Error("Place without id.");
-				}
-				if (nodes[place.id]) {
-					throw new Error("Duplicate id.");
-				}
-				const marking = place.querySelector("initialMarking>text");
-				const tokens = marking ? +marking.textContent || 0 : 0;
-				const position = place.querySelector("graphics>position");
-				const x = position && position.hasAttribute("x") ? Math.round(+position.getAttribute("x") / 10) * 10 || 40 : 40;
-				const y = position && position.hasAttribute("y") ? Math.round(+position.getAttribute("y") / 10) * 10 || 40 + 80 * index : 40 + 80 * index;
-				const nameId = /^p[1-9]\d*$/.test(place.id) ? +place.id.slice(1) : Node.AUTO_NAME_ID;
-				nodes[place.id] = this.addPlace(nameId, tokens, x, y);
+			pnml.places.forEach((place, index) => {
+				const x = Math.round(place.x / 10) * 10 || 40;
+				const y = Math.round(place.y / 10) * 10 || 40 + 80 * index;
+				nodes.set(place, this.addPlace(place.nameId, place.tokens, x, y));
 			});
 			// Import transitions.
-			xml.querySelectorAll("net>transition, page>transition").forEach((transition, index) => {
-				if (!transition.id) {
-					throw new Error("Transition without id.");
-				}
-				if (nodes[transition.id]) {
-					throw new Error("Duplicate id.");
-				}
-				const name = transition.querySelector("name>text");
-				const label = name ? name.textContent.toLowerCase().replace(/[^a-zA-Z0-9τ]+/g, "") || "τ" : "τ";
-				const position = transition.querySelector("graphics>position");
-				const x = position && position.hasAttribute("x") ? Math.round(+position.getAttribute("x") / 10) * 10 || 200 : 200;
-				const y = position && position.hasAttribute("y") ? Math.round(+position.getAttribute("y") / 10) * 10 || 40 + 80 * index : 40 + 80 * index;
-				const nameId = /^t[1-9]\d*$/.test(transition.id) ? +transition.id.slice(1) : Node.AUTO_NAME_ID;
-				nodes[transition.id] = this.addTransition(nameId, label, x, y);
+			pnml.transitions.forEach((transition, index) => {
+				const x = Math.round(transition.x / 10) * 10 || 200;
+				const y = Math.round(transition.y / 10) * 10 || 40 + 80 * index;
+				nodes.set(transition, this.addTransition(transition.nameId, transition.label, x, y));
 			});
 			// Import edges.
-			xml.querySelectorAll("net>arc, page>arc").forEach(edge => {
-				const sourceId = edge.getAttribute("source");
-				const targetId = edge.getAttribute("target");
-				const source = nodes[sourceId];
-				const target = nodes[targetId];
-				if (!source) {
-					throw new Error("Edge with unknown source id.");
-				}
-				if (!target) {
-					throw new Error("Edge with unknown target id.");
-				}
+			pnml.arcs.forEach(arc => {
+				const source = nodes.get(arc.source);
+				const target = nodes.get(arc.target);
 				this.addTempPoint(source.x, source.y);
+				arc.points.forEach(point => this.addTempPoint(Math.round(point.x / 10) * 10, Math.round(point.y / 10) * 10));
 				this.addTempPoint(target.x, target.y);
-				this.addEdge(source, target, 1, Array.from(this.tempEdge.points));
+				this.addEdge(source, target, arc.weight, Array.from(this.tempEdge.points));
 				this.tempEdge.points.clear();
 			});
-			// Center around the first place or transition such that the user can see at least one node.
-			const node = this.places[0] || this.transitions[0];
-			if (node) {
-				this.viewX = node.x - this.svg.clientWidth / 2;
-				this.viewY = node.y - this.svg.clientHeight / 2;
-			} else {
-				this.viewX = 0;
-				this.viewY = 0;
+			if (isLayoutUsed || pnml.places.concat(pnml.transitions).some(node => isNaN(node.x) || isNaN(node.y))) {
+				this.layout();
 			}
-			this.onResize();
+			// Show the whole Petri net such that large Petri nets are not cut off.
+			this.fitToContent();
 			this.isBatch = false;
 			this.update();
 		} catch(error) {
@@ -690,45 +1096,230 @@ class GuiPetriNet extends PetriNet {
 		}
 	}
 
+	/**
+	 * Exports the Petri net in the given format (see GuiPetriNet.FORMATS).
+	 *
+	 * @public
+	 * @param {string} name   Name of the Petri net.
+	 * @param {string} format The format.
+	 * @return {string} The content of the file.
+	 */
+	export(name, format = "pnml") {
+		return format === "tikz" ? this.toTikZ(name) : PNML.stringify(this, name);
+	}
+
+	/**
+	 * Writes the Petri net as a tikzpicture with the same positions as in the graphical user interface (1px is
+	 * 0.02cm) where edges go through their points and are drawn to the borders of the places/transitions by TikZ.
+	 *
+	 * @public
+	 * @param {string} name Name of the Petri net (written as a comment).
+	 * @return {string} The tikzpicture, which needs \usetikzlibrary{arrows.meta}.
+	 */
+	toTikZ(name) {
+		const math = name => "$" + name.replace(/^([pt])(\d+)$/, "$1_{$2}") + "$";
+		const label = label => label === "τ" ? "$\\tau$" : "$\\mathit{" + label.replace(/_/g, "\\_") + "}$";
+		const tokens = tokens => tokens > 3 ? `$\\bullet{\\times}${tokens}$` : tokens > 0 ? "$" + "\\bullet".repeat(tokens) + "$" : "";
+		const lines = [
+			`% ${name}: Petri net`,
+			"\\begin{tikzpicture}[x=0.02cm, y=-0.02cm,",
+			"  place/.style={circle, draw, thick, minimum size=1.2cm, align=center},",
+			"  transition/.style={rectangle, draw, thick, minimum width=1.4cm, minimum height=1cm, align=center},",
+			"  edge/.style={-{Stealth}, thick}, weight/.style={auto, font=\\small}]",
+		];
+		this.places.forEach(place => lines.push(`  \\node[place] (${place.getName()}) at (${place.x}, ${place.y}) {${math(place.getName())} \\\\ ${tokens(place.tokens)}};`));
+		this.transitions.forEach(transition => lines.push(`  \\node[transition] (${transition.getName()}) at (${transition.x}, ${transition.y}) {${math(transition.getName())} \\\\ ${label(transition.label)}};`));
+		this.edges.forEach(edge => {
+			const coordinates = [`(${edge.from.getName()})`].concat(edge.points.map(point => `(${point.x}, ${point.y})`), [`(${edge.to.getName()})`]);
+			// The weight is written next to the middle line segment like GuiEdge::updateWeightLabel.
+			const middle = (coordinates.length >>> 1) - 1;
+			const path = coordinates.map((coordinate, i) => i === 0 ? coordinate : (i === middle + 1 && edge.weight !== 1 ? `-- node[weight] {$${edge.weight}$} ` : "-- ") + coordinate);
+			lines.push(`  \\draw[edge] ${path.join(" ")};`);
+		});
+		lines.push("\\end{tikzpicture}");
+		return lines.join("\n") + "\n";
+	}
+
+	/**
+	 * Writes the Petri net as a standalone SVG-image cropped to the bounding box of the Petri net (not the current
+	 * view), where the styles of the stylesheet are inlined such that the image looks like in the graphical user
+	 * interface, except that nothing is selected or highlighted, the transitions are not marked as enabled during a
+	 * simulation (whose marking is shown) and the points on the edges are not shown.
+	 *
+	 * @public
+	 * @return {string} The SVG-image.
+	 */
+	toSVG() {
+		const box = this.getBoundingBox();
+		const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+		svg.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+		svg.setAttribute("viewBox", `${box.x} ${box.y} ${box.width} ${box.height}`);
+		svg.setAttribute("width", box.width);
+		svg.setAttribute("height", box.height);
+		const background = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+		background.setAttribute("x", box.x);
+		background.setAttribute("y", box.y);
+		background.setAttribute("width", box.width);
+		background.setAttribute("height", box.height);
+		background.setAttribute("fill", window.getComputedStyle(this.svg).backgroundColor);
+		svg.appendChild(background);
+		// The state classes are only removed while the styles are read, so the Petri net is never rendered without them.
+		const isSimulating = this.svg.classList.contains("simulating");
+		const states = GuiPetriNet.IMAGE_STATE_CLASSES.map(className => [className, Array.from(this.svg.querySelectorAll(`.${className}`))]);
+		this.svg.classList.remove("simulating");
+		states.forEach(([className, elements]) => elements.forEach(element => element.classList.remove(className)));
+		try {
+			[this.svg.children[0], this.arcs, this.nodes].forEach(element => svg.appendChild(this.inlineStyles(element)));
+		} finally {
+			this.svg.classList.toggle("simulating", isSimulating);
+			states.forEach(([className, elements]) => elements.forEach(element => element.classList.add(className)));
+		}
+		return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" + new XMLSerializer().serializeToString(svg) + "\n";
+	}
+
+	/**
+	 * Rasterises the SVG-image of the Petri net (see GuiPetriNet::toSVG) into a PNG-image.
+	 *
+	 * @public
+	 * @param {number} scale Number of pixels in the PNG-image per pixel in the SVG-image.
+	 * @return {Promise<Blob>} The PNG-image.
+	 * @throws {Error} If the image could not be rasterised (e.g. if it is too large).
+	 */
+	async toPNG(scale) {
+		if (typeof scale !== "number" || !(scale > 0)) {
+			throw new TypeError("Scale must be a positive number.");
+		}
+		const url = window.URL.createObjectURL(new Blob([this.toSVG()], {type: "image/svg+xml"}));
+		try {
+			const image = new Image();
+			image.src = url;
+			await image.decode();
+			const canvas = document.createElement("canvas");
+			canvas.width = Math.round(image.width * scale);
+			canvas.height = Math.round(image.height * scale);
+			canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+			const png = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+			if (png === null) {
+				throw new Error("The image is too large. Please choose a smaller scale.");
+			}
+			return png;
+		} finally {
+			window.URL.revokeObjectURL(url);
+		}
+	}
+
+	/**
+	 * Finds the smallest box containing the places, transitions, points on edges and weights of edges with a margin.
+	 *
+	 * @private
+	 * @return {{x: number, y: number, width: number, height: number}} The box.
+	 */
+	getBoundingBox() {
+		const xs = [];
+		const ys = [];
+		const add = (x, y, width, height) => {
+			xs.push(x - width / 2, x + width / 2);
+			ys.push(y - height / 2, y + height / 2);
+		};
+		this.places.forEach(place => add(place.x, place.y, 60, 60));
+		this.transitions.forEach(transition => add(transition.x, transition.y, 70, 50));
+		this.edges.forEach(edge => {
+			edge.points.forEach(point => add(point.x, point.y, 0, 0));
+			if (edge.weight !== 1) {
+				add(+edge.weightLabel.getAttribute("x"), +edge.weightLabel.getAttribute("y"), 10 * String(edge.weight).length, 20);
+			}
+		});
+		if (xs.length === 0) {
+			add(0, 0, 0, 0);
+		}
+		const x = Math.floor(Math.min(...xs)) - GuiPetriNet.IMAGE_MARGIN;
+		const y = Math.floor(Math.min(...ys)) - GuiPetriNet.IMAGE_MARGIN;
+		return {x: x, y: y, width: Math.ceil(Math.max(...xs)) + GuiPetriNet.IMAGE_MARGIN - x, height: Math.ceil(Math.max(...ys)) + GuiPetriNet.IMAGE_MARGIN - y};
+	}
+
+	/**
+	 * Copies an element of the SVG where the computed styles (see GuiPetriNet.IMAGE_STYLES) and transformations are
+	 * written as attributes instead of classes, and the points on edges are left out.
+	 *
+	 * @private
+	 * @return {Element} The copy.
+	 */
+	inlineStyles(element) {
+		const copy = element.cloneNode(false);
+		const style = window.getComputedStyle(element);
+		GuiPetriNet.IMAGE_STYLES.filter(property => style.getPropertyValue(property) !== "").forEach(property => copy.setAttribute(property, style.getPropertyValue(property)));
+		if (style.transform !== "" && style.transform !== "none") {
+			copy.setAttribute("transform", style.transform);
+		}
+		copy.removeAttribute("class");
+		copy.removeAttribute("style");
+		// Node is the place/transition of a Petri net in this file, so the DOM-node is window.Node.
+		element.childNodes.forEach(child => {
+			if (child.nodeType === window.Node.TEXT_NODE) {
+				copy.appendChild(child.cloneNode(false));
+			} else if (child.nodeType === window.Node.ELEMENT_NODE && !(child.model instanceof GuiEdgePoint)) {
+				copy.appendChild(this.inlineStyles(child));
+			}
+		});
+		return copy;
+	}
+
+	/** @public */
+	isSimulating() {
+		return this.marking !== null;
+	}
+
+	/**
+	 * Starts the simulation (token game) from the initial marking where editing is disabled and enabled transitions
+	 * are highlighted such that they can be fired by clicking on them.
+	 *
+	 * @public
+	 */
+	startSimulation() {
+		if (this.isReadOnly) {
+			throw new Error("Cannot simulate a read-only Petri net.");
+		}
+		this.setSelectedElement(null);
+		this.marking = this.getInitialMarking();
+		this.svg.classList.add("simulating");
+		this.places.forEach(place => place.showTokens(this.marking.getTokens(place)));
+		this.transitions.forEach(transition => transition.element.classList.toggle("enabled", this.isEnabled(transition, this.marking)));
+	}
+
 	/** @public */
-	export(name) {
-		return `
-<pnml xmlns="http://www.pnml.org/version-2009/grammar/pnml">
-  <net id="n1" type="http://www.pnml.org/version-2009/grammar/ptnet">
-    <name>
-     <text>${name}</text>
-    </name>
-    <page id="top-level">
-      ${this.places.map(place => `
-      <place id="${place.getName()}">
-        <name>
-          <text>${place.getName()}</text>
-        </name>
-        <graphics>
-          <position x="${place.x}" y="${place.y}" />
-        </graphics>
-        <initialMarking>
-          <text>${place.tokens}</text>
-        </initialMarking>
-      </place>
-      `).join("")}
-      ${this.transitions.map(transition => `
-      <transition id="${transition.getName()}">
-        <name>
-          <text>${transition.label}</text>
-        </name>
-        <graphics>
-          <position x="${transition.x}" y="${transition.y}" />
-        </graphics>
-      </transition>
-      `).join("")}
-      ${this.edges.map((edge, index) => `
-      <arc id="e${index}" source="${edge.from.getName()}" target="${edge.to.getName()}"></arc>
-      `).join("")}
-    </page>
-  </net>
-</pnml>
-		`.trim().replace(/\n( +\n)+/g, "\n") + "\n";
+	stopSimulation() {
+		if (this.marking === null) {
+			return;
+		}
+		this.marking = null;
+		this.svg.classList.remove("simulating");
+		this.places.forEach(place => place.showTokens(place.tokens));
+		this.transitions.forEach(transition => transition.element.classList.remove("enabled"));
+	}
+
+	/** @public */
+	fireTransition(transition) {
+		const marking = this.fire(transition, this.marking);
+		const changedPlaces = this.places.filter(place => marking.getTokens(place) !== this.marking.getTokens(place));
+		this.marking = marking;
+		this.places.forEach(place => place.showTokens(marking.getTokens(place)));
+		this.transitions.forEach(transition => transition.element.classList.toggle("enabled", this.isEnabled(transition, marking)));
+		// Restart the animation of the fired transition and the places where the number of tokens changed.
+		[transition, ...changedPlaces].forEach(node => {
+			node.element.classList.remove("fired");
+			node.element.getBBox();
+			node.element.classList.add("fired");
+		});
+	}
+
+	/** @public */
+	highlight(nodes, className = "highlighted") {
+		this.places.concat(this.transitions).forEach(node => node.element.classList.toggle(className, nodes.includes(node)));
+	}
+
+	/** @public */
+	findNodes(name) {
+		return this.places.concat(this.transitions).filter(node => node.getName() === name);
 	}
 
 	/** @public */
@@ -741,6 +1332,7 @@ class GuiPetriNet extends PetriNet {
 
 	/** @package */
 	setSelectedElement(element) {
+		this.setSelectedGroup([]);
 		if (this.selectedElement) {
 			this.selectedElement.classList.remove("selected");
 			this.tempEdge.points.clear();
@@ -751,9 +1343,152 @@ class GuiPetriNet extends PetriNet {
 		}
 	}
 
+	/**
+	 * Selects a group of places/transitions (elements) that can be moved, deleted and copied together.
+	 * A group and a single selected element (see GuiPetriNet::setSelectedElement) are never selected at once.
+	 *
+	 * @package
+	 * @param {SVGGElement[]} elements Elements of the places/transitions.
+	 */
+	setSelectedGroup(elements) {
+		this.selectedGroup.forEach(element => element.classList.remove("selected"));
+		this.selectedGroup = elements;
+		this.selectedGroup.forEach(element => element.classList.add("selected"));
+	}
+
+	/** @private */
+	toggleInGroup(element) {
+		const group = this.selectedGroup.slice();
+		if (this.selectedElement && (this.selectedElement.model instanceof GuiPlace || this.selectedElement.model instanceof GuiTransition)) {
+			group.push(this.selectedElement);
+		}
+		this.setSelectedElement(null);
+		const index = group.indexOf(element);
+		if (index === -1) {
+			group.push(element);
+		} else {
+			group.splice(index, 1);
+		}
+		this.setSelectedGroup(group);
+	}
+
+	/** @private */
+	deleteSelectedGroup() {
+		const models = this.selectedGroup.map(element => element.model);
+		this.setSelectedGroup([]);
+		this.isBatch = true;
+		models.forEach(model => model instanceof GuiPlace ? this.removePlace(model) : this.removeTransition(model));
+		this.isBatch = false;
+		this.update();
+	}
+
+	/**
+	 * Copies the selected places/transitions (the group or the single selected place/transition) and the edges
+	 * between them, in the same format as GuiPetriNet::getState.
+	 *
+	 * @private
+	 * @return {boolean} True iff something was copied.
+	 */
+	copySelection() {
+		const elements = this.selectedGroup.length || !this.selectedElement ? this.selectedGroup : [this.selectedElement];
+		const places = elements.map(element => element.model).filter(model => model instanceof GuiPlace);
+		const transitions = elements.map(element => element.model).filter(model => model instanceof GuiTransition);
+		if (places.length + transitions.length === 0) {
+			return false;
+		}
+		const edges = this.edges.filter(edge => elements.includes(edge.from.element) && elements.includes(edge.to.element));
+		this.clipboard = {
+			places: places.map(place => ({nameId: place.nameId, tokens: place.tokens, x: place.x, y: place.y})),
+			transitions: transitions.map(transition => ({nameId: transition.nameId, label: transition.label, x: transition.x, y: transition.y})),
+			edges: edges.map(edge => ({
+				isFromPlace: edge.from instanceof GuiPlace,
+				from: (edge.from instanceof GuiPlace ? places : transitions).indexOf(edge.from),
+				to: (edge.to instanceof GuiPlace ? places : transitions).indexOf(edge.to),
+				weight: edge.weight,
+				points: Array.from(edge.line.points, point => ({x: point.x, y: point.y})),
+			})),
+		};
+		this.pasteCount = 0;
+		return true;
+	}
+
+	/**
+	 * Pastes the copied places/transitions and edges (moved a bit for every paste) with new names, and selects them.
+	 *
+	 * @private
+	 */
+	paste() {
+		if (this.clipboard === null) {
+			return;
+		}
+		this.pasteCount++;
+		const offset = 40 * this.pasteCount;
+		this.setSelectedElement(null);
+		this.isBatch = true;
+		const places = this.clipboard.places.map(place => this.addPlace(Node.AUTO_NAME_ID, place.tokens, place.x + offset, place.y + offset));
+		const transitions = this.clipboard.transitions.map(transition => this.addTransition(Node.AUTO_NAME_ID, transition.label, transition.x + offset, transition.y + offset));
+		this.clipboard.edges.forEach(edge => {
+			edge.points.forEach(point => this.addTempPoint(point.x + offset, point.y + offset));
+			this.addEdge(
+				edge.isFromPlace ? places[edge.from] : transitions[edge.from],
+				edge.isFromPlace ? transitions[edge.to] : places[edge.to],
+				edge.weight,
+				Array.from(this.tempEdge.points),
+			);
+			this.tempEdge.points.clear();
+		});
+		this.isBatch = false;
+		this.update();
+		this.setSelectedGroup(places.concat(transitions).map(node => node.element));
+	}
+
+	/**
+	 * Zooms in or out (depending on the factor) while keeping the given point of the view at the same place.
+	 *
+	 * @public
+	 * @param {number} factor Factor to multiply the zoom with.
+	 * @param {number} x      X-coordinate of the point relative to the view (the center by default).
+	 * @param {number} y      Y-coordinate of the point relative to the view (the center by default).
+	 */
+	zoomBy(factor, x = this.svg.clientWidth / 2, y = this.svg.clientHeight / 2) {
+		const zoom = Math.min(Math.max(this.zoom * factor, GuiPetriNet.MIN_ZOOM), GuiPetriNet.MAX_ZOOM);
+		this.viewX += x / this.zoom - x / zoom;
+		this.viewY += y / this.zoom - y / zoom;
+		this.zoom = zoom;
+		this.onResize();
+	}
+
+	/**
+	 * Zooms and moves the view such that all places, transitions and edges are visible, but never zooms in.
+	 *
+	 * @public
+	 */
+	fitToContent() {
+		const xs = this.places.concat(this.transitions).map(node => node.x).concat(this.edges.flatMap(edge => edge.points.map(point => point.x)));
+		const ys = this.places.concat(this.transitions).map(node => node.y).concat(this.edges.flatMap(edge => edge.points.map(point => point.y)));
+		if (xs.length === 0) {
+			this.viewX = 0;
+			this.viewY = 0;
+			this.zoom = 1;
+			this.onResize();
+			return;
+		}
+		// Leave room for the size of the places/transitions.
+		const minX = Math.min(...xs) - 50;
+		const maxX = Math.max(...xs) + 50;
+		const minY = Math.min(...ys) - 50;
+		const maxY = Math.max(...ys) + 50;
+		const width = this.svg.clientWidth || maxX - minX;
+		const height = this.svg.clientHeight || maxY - minY;
+		this.zoom = Math.max(Math.min(width / (maxX - minX), height / (maxY - minY), 1), GuiPetriNet.MIN_ZOOM);
+		this.viewX = (minX + maxX) / 2 - width / this.zoom / 2;
+		this.viewY = (minY + maxY) / 2 - height / this.zoom / 2;
+		this.onResize();
+	}
+
 	/** @private */
 	onDragOver(event) {
-		if (this.isReadOnly) {
+		if (this.isReadOnly || this.marking !== null) {
 			return;
 		}
 		event.preventDefault();
@@ -764,7 +1499,7 @@ class GuiPetriNet extends PetriNet {
 	onDrop(event) {
 		event.preventDefault();
 		const isDrop = event.type === "drop";
-		if ((isDrop && event.target !== this.svg) || this.isReadOnly) {
+		if ((isDrop && event.target !== this.svg) || this.isReadOnly || this.marking !== null) {
 			return;
 		}
 		const data = event.dataTransfer.getData("text/plain");
@@ -776,8 +1511,8 @@ class GuiPetriNet extends PetriNet {
 		const bounds = this.svg.getBoundingClientRect();
 		const areaX = isDrop ? event.offsetX : event.clientX - bounds.x;
 		const areaY = isDrop ? event.offsetY : event.clientY - bounds.y;
-		const x = Math.round((this.viewX + areaX + (40 - parts[2])) / 10) * 10;
-		const y = Math.round((this.viewY + areaY + (40 - parts[3])) / 10) * 10;
+		const x = Math.round((this.viewX + (areaX + (40 - parts[2])) / this.zoom) / 10) * 10;
+		const y = Math.round((this.viewY + (areaY + (40 - parts[3])) / this.zoom) / 10) * 10;
 		isPlace ? this.addPlace(Node.AUTO_NAME_ID, 0, x, y) : this.addTransition(Node.AUTO_NAME_ID, "τ", x, y);
 		this.setSelectedElement(null);
 	}
@@ -796,6 +1531,23 @@ class GuiPetriNet extends PetriNet {
 		this.startX = this.lastX = event.offsetX;
 		this.startY = this.lastY = event.offsetY;
 		const target = event.target === this.svg ? this.svg : event.target.parentElement;
+		if (target === this.svg && event.shiftKey && !this.isReadOnly && this.marking === null) {
+			// Start selecting a group with a rubber band.
+			this.isSelecting = true;
+			this.elementX = this.viewX + event.offsetX / this.zoom;
+			this.elementY = this.viewY + event.offsetY / this.zoom;
+			this.moveElement = null;
+			return;
+		}
+		if (this.selectedGroup.includes(target)) {
+			// Move the group including the points on edges between places/transitions in the group.
+			this.moveElement = target;
+			this.groupStart = this.selectedGroup.map(element => ({x: element.model.x, y: element.model.y}));
+			this.groupPoints = this.edges
+				.filter(edge => this.selectedGroup.includes(edge.from.element) && this.selectedGroup.includes(edge.to.element))
+				.flatMap(edge => edge.points.map(point => ({point: point, x: point.x, y: point.y})));
+			return;
+		}
 		this.moveElement = target === this.selectedElement ? target : null;
 		if (!this.moveElement) {
 			return;
@@ -842,9 +1594,30 @@ class GuiPetriNet extends PetriNet {
 			window.cancelAnimationFrame(this.animationFrame);
 		}
 		this.onMove(0);
-		if (this.moveElement === null)  {
-			this.viewX -= Math.round(this.lastX - this.startX);
-			this.viewY -= Math.round(this.lastY - this.startY);
+		if (this.isSelecting) {
+			this.isSelecting = false;
+			this.rubberBand.removeAttribute("width");
+			this.rubberBand.removeAttribute("height");
+			if (this.hasMoved) {
+				const minX = Math.min(this.elementX, this.viewX + this.lastX / this.zoom);
+				const maxX = Math.max(this.elementX, this.viewX + this.lastX / this.zoom);
+				const minY = Math.min(this.elementY, this.viewY + this.lastY / this.zoom);
+				const maxY = Math.max(this.elementY, this.viewY + this.lastY / this.zoom);
+				const elements = this.places.concat(this.transitions)
+					.filter(node => minX <= node.x && node.x <= maxX && minY <= node.y && node.y <= maxY)
+					.map(node => node.element);
+				this.setSelectedGroup(this.selectedGroup.concat(elements.filter(element => !this.selectedGroup.includes(element))));
+			}
+		} else if (this.moveElement === null)  {
+			this.viewX -= (this.lastX - this.startX) / this.zoom;
+			this.viewY -= (this.lastY - this.startY) / this.zoom;
+		} else if (!this.isReadOnly) {
+			if (this.selectedGroup.includes(this.moveElement)) {
+				this.recordMove(this.selectedGroup.map(element => element.model).concat(this.groupPoints.map(point => point.point)), this.groupStart.concat(this.groupPoints));
+			} else {
+				this.recordMove([this.moveElement.model], [{x: this.elementX, y: this.elementY}]);
+			}
+			this.gui.updateHistory();
 		}
 	}
 
@@ -859,22 +1632,38 @@ class GuiPetriNet extends PetriNet {
 			return;
 		}
 		const target = event.target === this.svg ? this.svg : event.target.parentElement;
+		if (this.marking !== null) {
+			if (target.model instanceof GuiTransition && this.isEnabled(target.model, this.marking)) {
+				this.fireTransition(target.model);
+			}
+			return;
+		}
+		const isPlace = target.model instanceof GuiPlace;
+		const isTransition = target.model instanceof GuiTransition;
+		if (event.shiftKey && !this.isReadOnly) {
+			if (isPlace || isTransition) {
+				this.toggleInGroup(target);
+			}
+			return;
+		}
 		if (target === this.svg) {
 			if (this.isReadOnly) {
 				this.setSelectedElement(null);
 			}
+			if (this.selectedGroup.length) {
+				this.setSelectedGroup([]);
+				return;
+			}
 			if (!this.selectedElement) {
 				return;
 			}
 			if (this.selectedElement.model instanceof GuiPlace || this.selectedElement.model instanceof GuiTransition) {
-				this.addTempPoint(Math.round((this.viewX + event.offsetX) / 10) * 10, Math.round((this.viewY + event.offsetY) / 10) * 10);
+				this.addTempPoint(Math.round((this.viewX + event.offsetX / this.zoom) / 10) * 10, Math.round((this.viewY + event.offsetY / this.zoom) / 10) * 10);
 				return;
 			}
 			this.setSelectedElement(null);
 			return;
 		}
-		const isPlace = target.model instanceof GuiPlace;
-		const isTransition = target.model instanceof GuiTransition;
 		if (isPlace || isTransition) {
 			if (!this.selectedElement) {
 				this.setSelectedElement(target);
@@ -909,7 +1698,7 @@ class GuiPetriNet extends PetriNet {
 			return;
 		}
 		event.preventDefault();
-		if (this.hasMoved || this.isReadOnly) {
+		if (this.hasMoved || this.isReadOnly || this.marking !== null) {
 			this.hasMoved = false;
 			return;
 		}
@@ -948,15 +1737,36 @@ class GuiPetriNet extends PetriNet {
 		}
 	}
 
+	/** @private */
+	onMouseOver(event) {
+		const target = event.target === this.svg ? this.svg : event.target.parentElement;
+		const isNode = target.model instanceof GuiPlace || target.model instanceof GuiTransition;
+		this.gui.highlightName(isNode ? target.model.getName() : null);
+	}
+
+	/** @private */
+	onMouseLeave(event) {
+		this.gui.highlightName(null);
+	}
+
 	/** @private */
 	onTouchStart(event) {
 		this.isZooming = event.touches.length >= 2;
+		if (this.isZooming) {
+			this.isMoving = false;
+			this.pinchDistance = this.getPinch(event).distance;
+		}
 	}
 
 	/** @private */
 	onTouchMove(event) {
-		if (!this.isZooming) {
-			event.preventDefault();
+		event.preventDefault();
+		if (this.isZooming && event.touches.length >= 2) {
+			const pinch = this.getPinch(event);
+			if (this.pinchDistance > 0) {
+				this.zoomBy(pinch.distance / this.pinchDistance, pinch.x, pinch.y);
+			}
+			this.pinchDistance = pinch.distance;
 		}
 	}
 
@@ -965,14 +1775,61 @@ class GuiPetriNet extends PetriNet {
 		this.isZooming = event.touches.length >= 2;
 	}
 
+	/**
+	 * Finds the distance between the first two touches and their midpoint relative to the view.
+	 *
+	 * @private
+	 */
+	getPinch(event) {
+		const bounds = this.svg.getBoundingClientRect();
+		const [first, second] = event.touches;
+		return {
+			distance: Math.hypot(first.clientX - second.clientX, first.clientY - second.clientY),
+			x: (first.clientX + second.clientX) / 2 - bounds.x,
+			y: (first.clientY + second.clientY) / 2 - bounds.y,
+		};
+	}
+
+	/** @private */
+	onWheel(event) {
+		event.preventDefault();
+		if (this.isMoving || this.isZooming) {
+			return;
+		}
+		// Scroll by lines/pages is converted to pixels such that one step zooms about the same as a zoom button.
+		const delta = event.deltaY * (event.deltaMode === WheelEvent.DOM_DELTA_PIXEL ? 1 : event.deltaMode === WheelEvent.DOM_DELTA_LINE ? 33 : 400);
+		this.zoomBy(Math.pow(GuiPetriNet.ZOOM_STEP, -delta / 100), event.offsetX, event.offsetY);
+	}
+
 	/** @package */
 	onResize(event) {
 		this.hasMoved = false;
-		this.svg.setAttribute("viewBox", `${this.viewX} ${this.viewY} ${this.svg.clientWidth} ${this.svg.clientHeight}`);
+		this.svg.setAttribute("viewBox", `${this.viewX} ${this.viewY} ${this.svg.clientWidth / this.zoom} ${this.svg.clientHeight / this.zoom}`);
 	}
 
 	/** @package */
 	onKeyDown(event) {
+		if (this.isReadOnly || event.target instanceof HTMLInputElement) {
+			return;
+		}
+		if ((event.ctrlKey || event.metaKey) && !event.altKey && !event.shiftKey) {
+			// Copying selected text (like the CCS) is left to the browser.
+			if (event.key.toLowerCase() === "c" && window.getSelection().isCollapsed && this.copySelection()) {
+				event.preventDefault();
+			} else if (event.key.toLowerCase() === "v" && this.clipboard !== null) {
+				event.preventDefault();
+				this.paste();
+			}
+			return;
+		}
+		if (this.selectedGroup.length && !event.altKey && !event.ctrlKey && !event.metaKey && !event.shiftKey && !this.hasMoved) {
+			if (event.key === "Escape") {
+				this.setSelectedGroup([]);
+			} else if (event.key === "Delete") {
+				this.deleteSelectedGroup();
+			}
+			return;
+		}
 		if (!this.selectedElement || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey || this.hasMoved || this.isReadOnly) {
 			return;
 		}
@@ -1006,17 +1863,31 @@ class GuiPetriNet extends PetriNet {
 	/** @private */
 	onMove(timeStamp) {
 		this.animationFrame = 0;
-		if (this.moveElement) {
+		if (this.isSelecting) {
+			const x = this.viewX + this.lastX / this.zoom;
+			const y = this.viewY + this.lastY / this.zoom;
+			this.rubberBand.setAttribute("x", Math.min(this.elementX, x));
+			this.rubberBand.setAttribute("y", Math.min(this.elementY, y));
+			this.rubberBand.setAttribute("width", Math.abs(x - this.elementX));
+			this.rubberBand.setAttribute("height", Math.abs(y - this.elementY));
+		} else if (this.moveElement && this.selectedGroup.includes(this.moveElement)) {
+			const dx = Math.round((this.lastX - this.startX) / this.zoom / 10) * 10;
+			const dy = Math.round((this.lastY - this.startY) / this.zoom / 10) * 10;
+			this.selectedGroup.forEach((element, index) => element.model.setXY(this.groupStart[index].x + dx, this.groupStart[index].y + dy));
+			this.groupPoints.forEach(point => point.point.setXY(point.x + dx, point.y + dy));
+		} else if (this.moveElement) {
 			this.moveElement.model.setXY(
-				Math.round((this.elementX + this.lastX - this.startX) / 10) * 10,
-				Math.round((this.elementY + this.lastY - this.startY) / 10) * 10
+				Math.round((this.elementX + (this.lastX - this.startX) / this.zoom) / 10) * 10,
+				Math.round((this.elementY + (this.lastY - this.startY) / this.zoom) / 10) * 10
 			);
 			if (this.moveElement.model instanceof GuiPlace || this.moveElement.model instanceof GuiTransition) {
 				this.tempEdge.points[0].x = this.moveElement.model.x;
 				this.tempEdge.points[0].y = this.moveElement.model.y;
 			}
 		} else {
-			this.svg.setAttribute("viewBox", `${this.viewX - Math.round(this.lastX - this.startX)} ${this.viewY - Math.round(this.lastY - this.startY)} ${this.svg.clientWidth} ${this.svg.clientHeight}`);
+			const x = this.viewX - (this.lastX - this.startX) / this.zoom;
+			const y = this.viewY - (this.lastY - this.startY) / this.zoom;
+			this.svg.setAttribute("viewBox", `${x} ${y} ${this.svg.clientWidth / this.zoom} ${this.svg.clientHeight / this.zoom}`);
 		}
 	}
 }
@@ -1024,6 +1895,11 @@ class GuiPetriNet extends PetriNet {
 /** Graphical representation of the classification figure. */
 class GuiClassification {
 	container;
+	properties;
+	petriNet = null;
+	reachabilityGraph = null;
+	violations = [];
+	selectedElement = null;
 	classPetriNet;
 	classGroupChoiceNet;
 	class2TauSynchronisationNet;
@@ -1033,11 +1909,15 @@ class GuiClassification {
 	classFreeChoiceWorkflowNet;
 
 	/** @package */
-	constructor(container) {
+	constructor(container, properties) {
 		if (!(container instanceof SVGSVGElement)) {
 			throw new TypeError("The container must be a SVG-element.");
 		}
+		if (!(properties instanceof HTMLTableElement)) {
+			throw new TypeError("The properties must be a html table-element.");
+		}
 		this.container = container;
+		this.properties = properties;
 		this.container.innerHTML = `
 			<g id="classPetriNet">
 				<rect x="1" y="1" width="118" height="38" rx="5" fill-opacity="0.7"></rect>
@@ -1076,57 +1956,508 @@ class GuiClassification {
 		this.classFreeChoiceNet = this.container.children[4];
 		this.classWorkflowNet = this.container.children[5];
 		this.classFreeChoiceWorkflowNet = this.container.children[6];
+		this.properties.addEventListener("click", this.onClick.bind(this));
+	}
+
+	/** @package */
+	isVisible() {
+		return !this.container.parentElement.classList.contains("collapsed");
+	}
+
+	/**
+	 * Updates the classes of the given Petri net and its behavioural properties, which are only computed (from the
+	 * reachability graph) when they are shown.
+	 *
+	 * @package
+	 * @param {PetriNet} petriNet                     The Petri net to classify.
+	 * @param {GuiReachabilityGraph} reachabilityGraph The reachability graph of the Petri net.
+	 */
+	update(petriNet, reachabilityGraph) {
+		const classes = petriNet.classify();
+		this.petriNet = petriNet;
+		this.reachabilityGraph = reachabilityGraph;
+		this.selectedElement = null;
+		this.petriNet.highlight([], "violating");
+		// Explain why the Petri net is not in the classes (except the free-choice workflow nets that are explained by the other two).
+		this.violations = [
+			classes.isGroupChoiceNet ? null : petriNet.findGroupChoiceNetViolation(),
+			classes.is2TauSynchronisationNet ? null : petriNet.find2TauSynchronisationNetViolation(),
+			classes.isCCSNet ? null : petriNet.findCCSNetViolation(),
+			classes.isFreeChoiceNet ? null : petriNet.findFreeChoiceNetViolation(),
+			classes.isWorkflowNet ? null : petriNet.findWorkflowNetViolation(),
+		].filter(violation => violation !== null);
+		this.classPetriNet.classList.toggle("active", classes.isPetriNet);
+		this.classGroupChoiceNet.classList.toggle("active", classes.isGroupChoiceNet);
+		this.class2TauSynchronisationNet.classList.toggle("active", classes.is2TauSynchronisationNet);
+		this.classCCSNet.classList.toggle("active", classes.isCCSNet);
+		this.classFreeChoiceNet.classList.toggle("active", classes.isFreeChoiceNet);
+		this.classWorkflowNet.classList.toggle("active", classes.isWorkflowNet);
+		this.classFreeChoiceWorkflowNet.classList.toggle("active", classes.isFreeChoiceWorkflowNet);
+		this.render();
+	}
+
+	/** @package */
+	render() {
+		if (!this.isVisible()) {
+			this.properties.innerHTML = "";
+			return;
+		}
+		this.updateProperties(new BehaviouralProperties(this.reachabilityGraph.getGraph()), this.petriNet.isWorkflowNet() ? new WorkflowSoundness(this.petriNet) : null);
+	}
+
+	/** @private */
+	updateProperties(properties, soundness) {
+		const format = value => value === null ? "<i>unknown</i>" : value ? "yes" : "no";
+		const formatPath = (marking, path) => `${marking.toString()} ${path.length ? `is reached by firing ${path.map(transition => transition.getName()).join(", ")}` : "is the initial marking"}`;
+		let deadlock = format(properties.isDeadlockFree);
+		if (properties.deadlock !== null) {
+			deadlock += ` (${formatPath(properties.deadlock.marking, properties.getDeadlockPath())})`;
+		}
+		const rows = [
+			["Bounded", format(properties.isBounded) + (properties.isBounded ? ` (${properties.bound}-bounded)` : "")],
+			["Safe", format(properties.isSafe)],
+			["Deadlock-free", deadlock],
+			["Live", format(properties.isLiveNet())],
+		];
+		if (soundness !== null) {
+			rows.push(["Sound", format(soundness.isSound) + (soundness.graph.isComplete ? "" : " (too many states)")]);
+			soundness.violations.forEach(violation => {
+				const counterexample = violation.marking !== null ? formatPath(violation.marking, violation.path) : violation.transitions.map(transition => transition.getName()).join(", ");
+				rows.push([violation.property, `no: ${violation.message} Counterexample: ${counterexample}.`]);
+			});
+		}
+		const transitions = properties.graph.petriNet.transitions.slice().sort((a, b) => a.nameId - b.nameId);
+		this.properties.innerHTML = `
+			${this.violations.map((violation, index) => `<tr class="violation" data-index="${index}"><th>${violation.className}:</th><td colspan="2">no: ${violation.message}</td></tr>`).join("")}
+			${rows.map(([name, value]) => `<tr><th>${name}:</th><td colspan="2">${value}</td></tr>`).join("")}
+			${transitions.length ? `<tr><th>Transition</th><th>Quasi-live</th><th>Live</th></tr>` : ""}
+			${transitions.map(transition => `<tr><td>${transition.getName()}</td><td>${format(properties.isQuasiLive[transition.id])}</td><td>${format(properties.isLive[transition.id])}</td></tr>`).join("")}
+			${properties.graph.isComplete ? "" : `<tr><td colspan="3"><i>The state space is too large (more than ${properties.graph.states.length} states) to be analysed.</i></td></tr>`}
+		`;
+	}
+
+	/** @private */
+	onClick(event) {
+		const element = event.target.closest("tr.violation");
+		if (!element) {
+			return;
+		}
+		if (this.selectedElement) {
+			this.selectedElement.classList.remove("selected");
+		}
+		if (this.selectedElement === element) {
+			this.selectedElement = null;
+			this.petriNet.highlight([], "violating");
+			return;
+		}
+		this.selectedElement = element;
+		this.selectedElement.classList.add("selected");
+		this.petriNet.highlight(this.violations[+element.dataset.index].nodes, "violating");
+	}
+}
+
+/**
+ * Display of the reachability/coverability graph, which is only constructed when it (or the behavioural properties
+ * in GuiClassification) is shown.
+ */
+class GuiReachabilityGraph {
+	container;
+	output;
+	petriNet = null;
+	graph = null;
+
+	/** @package */
+	constructor(container) {
+		if (!(container instanceof HTMLDivElement)) {
+			throw new TypeError("The container must be a html div-element.");
+		}
+		this.container = container;
+		this.output = container.querySelector("pre");
+	}
+
+	/** @package */
+	isVisible() {
+		return !this.container.classList.contains("collapsed");
+	}
+
+	/** @package */
+	update(petriNet) {
+		this.petriNet = petriNet;
+		this.graph = null;
+		this.render();
+	}
+
+	/**
+	 * Gets the reachability/coverability graph of the Petri net, which is constructed the first time it is needed
+	 * after an update.
+	 *
+	 * @package
+	 * @return {ReachabilityGraph} The graph.
+	 */
+	getGraph() {
+		if (this.graph === null) {
+			this.graph = new ReachabilityGraph(this.petriNet);
+		}
+		return this.graph;
+	}
+
+	/** @package */
+	render() {
+		if (!this.isVisible()) {
+			this.output.innerHTML = "";
+			return;
+		}
+		const graph = this.getGraph();
+		const places = graph.petriNet.places.map(place => place.getName()).join(", ");
+		const states = graph.states.map(state => {
+			const edges = state.edges.map(edge => `${edge.transition.getName()} → M<sub>${edge.state.id}</sub>`);
+			return `M<sub>${state.id}</sub> = ${state.marking.toString()}: ${edges.length ? edges.join(", ") : "<i>deadlock</i>"}`;
+		});
+		let summary = `${graph.isCoverabilityGraph ? "Coverability graph (unbounded)" : "Reachability graph"} with ${graph.states.length} states`;
+		if (!graph.isComplete) {
+			summary = `<i>Stopped after ${graph.states.length} states (the graph is incomplete)</i>`;
+		}
+		this.output.innerHTML = `${summary}<br>Marking of (${places})<br><br>${states.join("<br>")}`;
+	}
+}
+
+/**
+ * Command-based undo/redo history of the edits of the (editable) Petri net. The Petri net records an operation with
+ * a function that reverts it and a function that makes it again for every edit (see GuiPetriNet::record), and the
+ * operations since the last recorded command become one command, e.g. deleting a place with its edges or importing
+ * a Petri net. A command is undone by reverting its operations in reverse order, which also restores the order of the
+ * places, transitions and edges.
+ */
+class GuiHistory {
+	static MAX_COMMANDS = 100;
+	petriNet;
+	undoStack = [];
+	redoStack = [];
+	operations = [];
+	isPaused = false;
+	isBatching = false;
+
+	/** @package */
+	constructor(petriNet) {
+		if (!(petriNet instanceof GuiPetriNet)) {
+			throw new TypeError("Petri net must be a gui-Petri net.");
+		}
+		this.petriNet = petriNet;
+		this.petriNet.history = this;
+	}
+
+	/**
+	 * Adds an operation to the command that is recorded next (unless a command is being undone/redone).
+	 *
+	 * @package
+	 * @param {{undo: function(): void, redo: function(): void}} operation The operation.
+	 */
+	add(operation) {
+		if (!this.isPaused) {
+			this.operations.push(operation);
+		}
+	}
+
+	/**
+	 * Records the operations since the last command (if any) as a command and clears the redo stack.
+	 *
+	 * @package
+	 */
+	record() {
+		if (this.isBatching || this.operations.length === 0) {
+			return;
+		}
+		this.undoStack.push(this.operations);
+		if (this.undoStack.length > GuiHistory.MAX_COMMANDS) {
+			this.undoStack.shift();
+		}
+		this.redoStack = [];
+		this.operations = [];
+	}
+
+	/**
+	 * Runs a function that makes several edits (like importing a Petri net) and records them as one command. If the
+	 * function throws an error, the edits are reverted such that the Petri net is the same as before.
+	 *
+	 * @package
+	 * @param {function(): void} edit Function that makes the edits.
+	 * @throws {Error} The error thrown by the function.
+	 */
+	batch(edit) {
+		const start = this.operations.length;
+		this.isBatching = true;
+		try {
+			edit();
+		} catch(error) {
+			this.run(this.operations.splice(start).reverse().map(operation => operation.undo));
+			throw error;
+		} finally {
+			this.isBatching = false;
+		}
+		this.record();
+	}
+
+	/** @package */
+	canUndo() {
+		return this.undoStack.length > 0;
+	}
+
+	/** @package */
+	canRedo() {
+		return this.redoStack.length > 0;
+	}
+
+	/** @package */
+	undo() {
+		if (!this.canUndo()) {
+			return;
+		}
+		const command = this.undoStack.pop();
+		this.redoStack.push(command);
+		this.run(command.slice().reverse().map(operation => operation.undo));
+	}
+
+	/** @package */
+	redo() {
+		if (!this.canRedo()) {
+			return;
+		}
+		const command = this.redoStack.pop();
+		this.undoStack.push(command);
+		this.run(command.map(operation => operation.redo));
+	}
+
+	/**
+	 * Forgets all commands such that the current state of the Petri net is the first state.
+	 *
+	 * @package
+	 */
+	reset() {
+		this.undoStack = [];
+		this.redoStack = [];
+		this.operations = [];
+	}
+
+	/**
+	 * Runs the functions of operations as one update of the Petri net without recording them.
+	 *
+	 * @private
+	 */
+	run(functions) {
+		const isBatch = this.petriNet.isBatch;
+		this.isPaused = true;
+		this.petriNet.isBatch = true;
+		try {
+			this.petriNet.setSelectedElement(null);
+			functions.forEach(run => run());
+		} finally {
+			this.petriNet.isBatch = isBatch;
+			this.isPaused = false;
+		}
+		this.petriNet.update();
+	}
+}
+
+/** Display of the P- and T-invariants, which are only computed when they are shown. */
+class GuiInvariants {
+	gui;
+	container;
+	output;
+	petriNet = null;
+	invariants = null;
+	selectedElement = null;
+
+	/** @package */
+	constructor(gui, container) {
+		if (!(gui instanceof Gui)) {
+			throw new Error("Gui must be a Gui.");
+		}
+		if (!(container instanceof HTMLDivElement)) {
+			throw new TypeError("The container must be a html div-element.");
+		}
+		this.gui = gui;
+		this.container = container;
+		this.output = container.querySelector("#invariants");
+		this.output.addEventListener("click", this.onClick.bind(this));
+	}
+
+	/** @package */
+	isVisible() {
+		return !this.container.classList.contains("collapsed");
 	}
 
 	/** @package */
 	update(petriNet) {
-		const isWorkflowNet = petriNet.isWorkflowNet();
-		const isFreeChoiceNet = petriNet.isFreeChoiceNet();
-		const isFreeChoiceWorkflowNet = isWorkflowNet && isFreeChoiceNet;
-		const isGroupChoiceNet = isFreeChoiceNet || petriNet.isGroupChoiceNet();
-		const isCCSNet = petriNet.isCCSNet();
-		const is2TauSynchronisationNet = isCCSNet || petriNet.is2TauSynchronisationNet();
-		this.classPetriNet.classList.toggle("active", true);
-		this.classGroupChoiceNet.classList.toggle("active", isGroupChoiceNet);
-		this.class2TauSynchronisationNet.classList.toggle("active", is2TauSynchronisationNet);
-		this.classCCSNet.classList.toggle("active", isCCSNet);
-		this.classFreeChoiceNet.classList.toggle("active", isFreeChoiceNet);
-		this.classWorkflowNet.classList.toggle("active", isWorkflowNet);
-		this.classFreeChoiceWorkflowNet.classList.toggle("active", isFreeChoiceWorkflowNet);
+		this.petriNet = petriNet;
+		this.render();
+	}
+
+	/** @package */
+	render() {
+		this.selectedElement = null;
+		this.petriNet.highlight([]);
+		if (!this.isVisible()) {
+			this.invariants = null;
+			this.output.innerHTML = "";
+			return;
+		}
+		this.invariants = new Invariants(this.petriNet);
+		const list = (invariants, isComplete, kind, format) => {
+			if (!isComplete) {
+				return "<p><i>Stopped: too many invariants</i></p>";
+			}
+			return invariants.length ? `<ul>${invariants.map((invariant, index) => `<li data-kind="${kind}" data-index="${index}">${format(invariant)}</li>`).join("")}</ul>` : "<p><i>None</i></p>";
+		};
+		this.output.innerHTML = `
+			<p><b>P-invariants</b> (the weighted sum of tokens is the same in all reachable markings)${this.invariants.isCoveredByPlaceInvariants() ? " covering all places" : ""}:</p>
+			${list(this.invariants.placeInvariants, this.invariants.isPlaceInvariantsComplete, "p", invariant => `${invariant.toString()} = ${this.invariants.getTokenSum(invariant)}`)}
+			<p><b>T-invariants</b> (firing the transitions reproduces the marking)${this.invariants.isCoveredByTransitionInvariants() ? " covering all transitions" : ""}:</p>
+			${list(this.invariants.transitionInvariants, this.invariants.isTransitionInvariantsComplete, "t", invariant => invariant.toString())}
+		`;
+	}
+
+	/** @private */
+	onClick(event) {
+		const element = event.target.closest("li");
+		if (!element) {
+			return;
+		}
+		if (this.selectedElement) {
+			this.selectedElement.classList.remove("selected");
+		}
+		if (this.selectedElement === element) {
+			this.selectedElement = null;
+			this.petriNet.highlight([]);
+			return;
+		}
+		this.selectedElement = element;
+		this.selectedElement.classList.add("selected");
+		const invariants = element.dataset.kind === "p" ? this.invariants.placeInvariants : this.invariants.transitionInvariants;
+		this.petriNet.highlight(invariants[+element.dataset.index].support);
 	}
 }
 
-/** Display of the CCS. */
+/** Display of the CCS, or of the suggested repairs if the Petri net cannot be encoded. */
 class GuiCCS {
+	static FORMATS = {
+		ccs: {name: "CCS", extension: ".ccs"},
+		mcrl2: {name: "mCRL2", extension: ".mcrl2"},
+		latex: {name: "LaTeX", extension: ".tex"},
+		caal: {name: "CAAL", extension: ".caal"},
+		cwb: {name: "Concurrency Workbench", extension: ".cwb"},
+	};
+	gui;
 	output;
 	ccs = null;
+	repairs = [];
+	selectedElement = null;
 
 	/** @package */
-	constructor(output) {
+	constructor(gui, output) {
+		if (!(gui instanceof Gui)) {
+			throw new TypeError("Gui must be a Gui.");
+		}
 		if (!(output instanceof HTMLPreElement)) {
 			throw new TypeError("Output must be a html pre-element.");
 		}
+		this.gui = gui;
 		this.output = output;
+		this.output.addEventListener("click", this.onClick.bind(this));
+		this.output.addEventListener("mouseover", this.onMouseOver.bind(this));
+		this.output.addEventListener("mouseleave", this.onMouseLeave.bind(this));
 	}
 
-	/** @package */
-	update(petriNet) {
+	/**
+	 * Updates the CCS to be the encoding of the given Petri net or the repairs if it cannot be encoded.
+	 *
+	 * @package
+	 * @param {PetriNet} petriNet Petri net to encode.
+	 * @param {boolean} isSimplified True iff the CCS should be simplified (see CCSOptimiser).
+	 * @return {boolean} True iff the Petri net could be encoded.
+	 */
+	update(petriNet, isSimplified) {
+		this.repairs = [];
+		this.selectedElement = null;
 		if (petriNet.isGroupChoiceNet()) {
 			petriNet = petriNet.to2TauSynchronisationNet();
 		} else if (!petriNet.is2TauSynchronisationNet()) {
-			this.output.innerHTML = "<i>Petri net cannot be encoded</i>";
+			this.repairs = Repair.find(petriNet);
+			const repairs = this.repairs.map((repair, index) => `<div class="repair" data-index="${index}"><b>Make it a ${repair.className.toLowerCase()}:</b> <button class="inline-button" name="preview">Preview</button> <button class="inline-button" name="apply">Apply</button><ul>${repair.edits.map(edit => `<li>${edit.toString()}</li>`).join("")}</ul></div>`);
+			this.output.innerHTML = "<i>Petri net cannot be encoded</i>" + (repairs.length ? "\n\nSuggested repairs (they change the behaviour of the Petri net):" + repairs.join("") : "");
 			this.ccs = null;
 			return false;
 		}
-		this.ccs = petriNet.toCCS();
+		this.ccs = isSimplified ? CCSOptimiser.optimise(petriNet.toCCS()) : petriNet.toCCS();
 		this.output.innerHTML = this.ccs.toHTML();
 		return true;
 	}
 
-	/** @public */
-	export() {
+	/**
+	 * Exports the CCS in the given format (see GuiCCS.FORMATS).
+	 *
+	 * @public
+	 * @param {string} format The format.
+	 * @param {string} name   Name of the Petri net.
+	 * @return {string} The content of the file.
+	 */
+	export(format, name) {
+		if (format === "mcrl2") {
+			return MCRL2.stringify(this.ccs, name);
+		}
+		if (CCSDialect.NAMES.includes(format)) {
+			return new CCSDialect(format).stringify(this.ccs);
+		}
+		if (format === "latex") {
+			return `% ${name}: CCS encoding of a Petri net (needs \\usepackage{amsmath})\n${this.ccs.toLaTeX()}\n`;
+		}
 		return this.ccs.toString() + "\n";
 	}
+
+	/**
+	 * Highlights the names in the CCS that are derived from the place/transition with the given name.
+	 *
+	 * @package
+	 * @param {?string} name Name of the place/transition (like p3 or t7) or null to remove the highlighting.
+	 */
+	highlight(name) {
+		this.output.querySelectorAll("[data-node]").forEach(element => element.classList.toggle("linked", element.dataset.node === name));
+	}
+
+	/** @private */
+	onClick(event) {
+		const button = event.target.closest("button");
+		if (!button) {
+			return;
+		}
+		const element = button.closest(".repair");
+		const repair = this.repairs[+element.dataset.index];
+		if (button.name === "apply") {
+			this.gui.applyRepair(repair);
+			return;
+		}
+		if (this.selectedElement) {
+			this.selectedElement.classList.remove("selected");
+		}
+		if (this.selectedElement === element) {
+			this.selectedElement = null;
+			this.gui.previewRepair(null);
+			return;
+		}
+		this.selectedElement = element;
+		this.selectedElement.classList.add("selected");
+		this.gui.previewRepair(repair);
+	}
+
+	/** @private */
+	onMouseOver(event) {
+		const element = event.target.closest("[data-node]");
+		this.gui.highlightName(element === null ? null : element.dataset.node);
+	}
+
+	/** @private */
+	onMouseLeave(event) {
+		this.gui.highlightName(null);
+	}
 }
 
 /** Class for the dialogs shown for warnings and when editing things. */
@@ -1207,6 +2538,32 @@ class GuiDialog {
 		this.close(event);
 	}
 
+	/** @package */
+	openVerification(verification) {
+		this.title.innerText = "Verify Encoding";
+		if (!verification.isComplete) {
+			this.content.innerHTML = `
+				The verification was stopped since the Petri net is unbounded or it has more than ${EncodingVerification.MAX_STATES} reachable markings/the CCS has more than ${EncodingVerification.MAX_STATES} reachable processes.
+			`;
+		} else if (verification.isBisimilar) {
+			this.content.innerHTML = `
+				The Petri net and its CCS encoding are weakly bisimilar (where τ is internal).
+			`;
+		} else {
+			this.content.innerHTML = `
+				<p>The Petri net and its CCS encoding are <b>not</b> weakly bisimilar (where τ is internal). Distinguishing trace:</p>
+				<ol id="verificationTrace"></ol>
+			`;
+			const list = this.content.querySelector("#verificationTrace");
+			verification.describeTrace().forEach(step => list.appendChild(document.createElement("li")).innerText = step);
+		}
+		this.buttons.innerHTML = `
+			<button name="close">Ok</button>
+		`;
+		this.container.addEventListener("submit", this.submitFunction = this.onSubmitAlert.bind(this));
+		this.container.classList.add("grid");
+	}
+
 	/** @package */
 	openReset() {
 		this.title.innerText = "Reset";
@@ -1244,6 +2601,10 @@ class GuiDialog {
 				Choose PNML-file for a P/T net:
 				<input name="file" type="file" accept=".pnml" required />
 			</label>
+			<label class="flex">
+				<input name="layout" type="checkbox" />
+				Arrange places/transitions automatically (positions in the file are ignored)
+			</label>
 			<i>WARNING: Importing a Petri net will delete the current Petri net (if any).</i>
 		`;
 		this.buttons.innerHTML = `
@@ -1262,7 +2623,7 @@ class GuiDialog {
 		this.buttons.querySelectorAll("button").forEach(e => e.disabled = true);
 		if (event.submitter.name === "import") {
 			try {
-				this.gui.importPN(await this.container.elements.file.files[0].text());
+				this.gui.importPN(await this.container.elements.file.files[0].text(), this.container.elements.layout.checked);
 			} catch(error) {
 				this.openAlert("Import Error", error.message);
 				return;
@@ -1282,7 +2643,19 @@ class GuiDialog {
 				Name of Petri net (characters, digits, dashes and underscores are allowed):
 				<input name="name" type="text" pattern="^([a-zA-Z0-9]([a-zA-Z0-9_\\-]*[a-zA-Z0-9])?)$" required placeholder="my-petri-net" />
 			</label>
-			<i>Note: All points on edges will be lost.</i>
+			<label>
+				Petri net:
+				<select name="net">
+					<option value="input">Petri Net</option>
+					<option value="ir"${this.gui.ccs.ccs === null ? " disabled" : ""}>Petri Net (IR)</option>
+				</select>
+			</label>
+			<label>
+				Format:
+				<select name="format">
+					${Object.entries(GuiPetriNet.FORMATS).map(([format, {name, extension}]) => `<option value="${format}">${name} (${extension})</option>`).join("")}
+				</select>
+			</label>
 		`;
 		this.buttons.innerHTML = `
 			<button name="export" data-valid disabled>Export Petri net</button>
@@ -1300,7 +2673,8 @@ class GuiDialog {
 		event.preventDefault();
 		this.buttons.querySelectorAll("button").forEach(e => e.disabled = true);
 		if (event.submitter.name === "export") {
-			this.gui.exportPN(this.container.elements.name.value);
+			const elements = this.container.elements;
+			this.gui.exportPN(elements.name.value, elements.net.value === "ir", elements.format.value);
 		} else {
 			this.buttons.querySelectorAll("button").forEach(e => e.disabled = false);
 			return;
@@ -1316,6 +2690,12 @@ class GuiDialog {
 				Name of Petri net (characters, digits, dashes and underscores are allowed):
 				<input name="name" type="text" pattern="^([a-zA-Z0-9]([a-zA-Z0-9_\\-]*[a-zA-Z0-9])?)$" required placeholder="my-petri-net" />
 			</label>
+			<label>
+				Format:
+				<select name="format">
+					${Object.entries(GuiCCS.FORMATS).map(([format, {name, extension}]) => `<option value="${format}">${name} (${extension})</option>`).join("")}
+				</select>
+			</label>
 		`;
 		this.buttons.innerHTML = `
 			<button name="export" data-valid disabled>Export CCS</button>
@@ -1333,7 +2713,62 @@ class GuiDialog {
 		event.preventDefault();
 		this.buttons.querySelectorAll("button").forEach(e => e.disabled = true);
 		if (event.submitter.name === "export") {
-			this.gui.exportCCS(this.container.elements.name.value);
+			this.gui.exportCCS(this.container.elements.name.value, this.container.elements.format.value);
+		} else {
+			this.buttons.querySelectorAll("button").forEach(e => e.disabled = false);
+			return;
+		}
+		this.close(event);
+	}
+
+	/**
+	 * Opens the dialog for exporting an image of the given Petri net.
+	 *
+	 * @package
+	 * @param {GuiPetriNet} petriNet The Petri net (input or IR).
+	 */
+	openExportImage(petriNet) {
+		this.title.innerText = "Export Image";
+		this.content.innerHTML = `
+			<label>
+				Name of image (characters, digits, dashes and underscores are allowed):
+				<input name="name" type="text" pattern="^([a-zA-Z0-9]([a-zA-Z0-9_\\-]*[a-zA-Z0-9])?)$" required placeholder="my-petri-net" />
+			</label>
+			<label>
+				Format:
+				<select name="format">
+					${Object.entries(GuiPetriNet.IMAGE_FORMATS).map(([format, {name, extension}]) => `<option value="${format}">${name} (${extension})</option>`).join("")}
+				</select>
+			</label>
+			<label>
+				Scale (PNG only, pixels per pixel in the Petri net):
+				<input name="scale" type="number" min="0.5" max="8" step="0.5" value="2" required />
+			</label>
+		`;
+		this.buttons.innerHTML = `
+			<button name="export" data-valid disabled>Export image</button>
+		`;
+		this.container.addEventListener("submit", this.submitFunction = this.onSubmitExportImage.bind(this, petriNet));
+		const nameInput = this.content.querySelector("input[name=\"name\"]");
+		nameInput.addEventListener("input", this.onInput.bind(this));
+		this.content.querySelector("input[name=\"scale\"]").addEventListener("input", this.onInput.bind(this));
+		this.container.classList.add("grid");
+		nameInput.focus();
+		nameInput.select();
+	}
+
+	/** @private */
+	async onSubmitExportImage(petriNet, event) {
+		event.preventDefault();
+		this.buttons.querySelectorAll("button").forEach(e => e.disabled = true);
+		if (event.submitter.name === "export") {
+			const elements = this.container.elements;
+			try {
+				await this.gui.exportImage(petriNet, elements.name.value, elements.format.value, +elements.scale.value);
+			} catch(error) {
+				this.openAlert("Export Error", error.message);
+				return;
+			}
 		} else {
 			this.buttons.querySelectorAll("button").forEach(e => e.disabled = false);
 			return;
@@ -1436,16 +2871,37 @@ class GuiDialog {
 	/** @package */
 	openEditEdge(edge) {
 		this.title.innerText = "Edit Edge";
+		if (edge.from instanceof Place) {
+			this.content.innerHTML = `
+				<input type="hidden" name="id" value="${edge.id}" />
+				<i>Edge from ${edge.from.getName()} to ${edge.to.getName()} can only be edited by dragging points on the edge (if any) since edges from places to transitions always have weight 1.</i>
+			`;
+			this.buttons.innerHTML = `
+				<button name="keep">Keep edge</button>
+				<button name="delete" class="red">Delete edge</button>
+			`;
+			this.container.addEventListener("submit", this.submitFunction = this.onSubmitEditEdge.bind(this));
+			this.container.classList.add("grid");
+			return;
+		}
 		this.content.innerHTML = `
 			<input type="hidden" name="id" value="${edge.id}" />
-			<i>Edge from ${edge.from.getName()} to ${edge.to.getName()} can only be edited by dragging points on the edge (if any).</i>
+			<label>
+				Weight of edge from ${edge.from.getName()} to ${edge.to.getName()}:
+				<input name="weight" type="number" min="1" step="1" value="${edge.weight}" required />
+			</label>
+			<i>Points on the edge (if any) can be moved by dragging them.</i>
 		`;
 		this.buttons.innerHTML = `
-			<button name="keep">Keep edge</button>
+			<button name="edit" data-valid>Update edge</button>
 			<button name="delete" class="red">Delete edge</button>
 		`;
 		this.container.addEventListener("submit", this.submitFunction = this.onSubmitEditEdge.bind(this));
+		const weightInput = this.content.querySelector("input[name=\"weight\"]");
+		weightInput.addEventListener("input", this.onInput.bind(this));
 		this.container.classList.add("grid");
+		weightInput.focus();
+		weightInput.select();
 	}
 
 	/** @private */
@@ -1454,6 +2910,11 @@ class GuiDialog {
 		this.buttons.querySelectorAll("button").forEach(e => e.disabled = true);
 		if (event.submitter.name === "keep") {
 
+		} else if (event.submitter.name === "edit") {
+			this.gui.updateEdge(
+				+this.container.elements.id.value,
+				+this.container.elements.weight.value,
+			);
 		} else if (event.submitter.name === "delete") {
 			this.gui.deleteEdge(+this.container.elements.id.value);
 		} else {
@@ -1466,21 +2927,36 @@ class GuiDialog {
 
 /** Overall controller class for handling and delegating user input. */
 class Gui {
+	static STORAGE_KEY = "pn2ccs-petri-net";
 	petriNet;
 	petriNet2Tau;
+	history;
+	reachabilityGraph;
+	invariants;
 	classification;
 	ccs;
 	dialog;
 
 	buttonReset;
 	buttonImportPN;
+	buttonLayout;
 	buttonExportPN;
+	buttonCopyLink;
 	buttonExportCCS;
+	buttonSimulate;
+	buttonVerify;
+	buttonUndo;
+	buttonRedo;
 	buttonHelp;
+	selectStrategy;
+	inputSeed;
+	inputSimplify;
+	strategy = new SynchronisationStrategy();
 	help;
 	helpButtonClose;
 	noSupport;
 	toggleButtons;
+	zoomButtons;
 	dragPlace;
 	dragTransition;
 	draggingPlace;
@@ -1498,20 +2974,33 @@ class Gui {
 
 		this.petriNet = new GuiPetriNet(this, document.querySelector("#pn"), false);
 		this.petriNet2Tau = new GuiPetriNet(this, document.querySelector("#pn2tau"), true);
-		this.classification = new GuiClassification(document.querySelector("#classes"));
-		this.ccs = new GuiCCS(document.querySelector("#ccs"));
+		this.history = new GuiHistory(this.petriNet);
+		this.reachabilityGraph = new GuiReachabilityGraph(document.querySelector("#rgContainer"));
+		this.invariants = new GuiInvariants(this, document.querySelector("#invariantsContainer"));
+		this.classification = new GuiClassification(document.querySelector("#classes"), document.querySelector("#properties"));
+		this.ccs = new GuiCCS(this, document.querySelector("#ccs"));
 		this.dialog = new GuiDialog(this, document.querySelector("#dialog"));
 
 		this.buttonReset = document.querySelector("#buttonReset");
 		this.buttonImportPN = document.querySelector("#buttonImportPN");
+		this.buttonLayout = document.querySelector("#buttonLayout");
 		this.buttonExportPN = document.querySelector("#buttonExportPN");
+		this.buttonCopyLink = document.querySelector("#buttonCopyLink");
 		this.buttonExportCCS = document.querySelector("#buttonExportCCS");
+		this.buttonSimulate = document.querySelector("#buttonSimulate");
+		this.buttonVerify = document.querySelector("#buttonVerify");
+		this.buttonUndo = document.querySelector("#buttonUndo");
+		this.buttonRedo = document.querySelector("#buttonRedo");
 		this.buttonHelp = document.querySelector("#buttonHelp");
+		this.selectStrategy = document.querySelector("#selectStrategy");
+		this.inputSeed = document.querySelector("#inputSeed");
+		this.inputSimplify = document.querySelector("#inputSimplify");
 		this.help = document.querySelector("#help");
 		this.helpButtonClose = document.querySelector("#helpButtonClose");
 		this.noSupport = document.querySelector("#noSupport");
 		this.noSupportButtonClose = document.querySelector("#noSupportButtonClose");
 		this.toggleButtons = document.querySelectorAll(".toggle-button");
+		this.zoomButtons = document.querySelectorAll(".zoom>button");
 		this.dragPlace = document.querySelector("#dragPlace");
 		this.dragTransition = document.querySelector("#dragTransition");
 		this.draggingPlace = document.querySelector("#draggingPlace");
@@ -1519,11 +3008,21 @@ class Gui {
 
 		this.buttonReset.addEventListener("click", this.onReset.bind(this));
 		this.buttonImportPN.addEventListener("click", this.onImportPN.bind(this));
+		this.buttonLayout.addEventListener("click", this.onLayout.bind(this));
 		this.buttonExportPN.addEventListener("click", this.onExportPN.bind(this));
+		this.buttonCopyLink.addEventListener("click", this.onCopyLink.bind(this));
 		this.buttonExportCCS.addEventListener("click", this.onExportCCS.bind(this));
+		this.buttonSimulate.addEventListener("click", this.onSimulate.bind(this));
+		this.buttonVerify.addEventListener("click", this.onVerify.bind(this));
+		this.buttonUndo.addEventListener("click", this.onUndo.bind(this));
+		this.buttonRedo.addEventListener("click", this.onRedo.bind(this));
 		this.buttonHelp.addEventListener("click", this.onHelp.bind(this));
+		this.selectStrategy.addEventListener("change", this.onStrategyChange.bind(this));
+		this.inputSeed.addEventListener("change", this.onStrategyChange.bind(this));
+		this.inputSimplify.addEventListener("change", this.update.bind(this));
 		this.helpButtonClose.addEventListener("click", this.onCloseHelp.bind(this));
 		this.toggleButtons.forEach(button => button.addEventListener("click", this.onToggleClick.bind(this)));
+		this.zoomButtons.forEach(button => button.addEventListener("click", this.onZoomClick.bind(this)));
 		if (window.matchMedia("(pointer: fine)").matches) {
 			this.dragPlace.addEventListener("dragstart", this.onDragStartPlace.bind(this));
 			this.dragTransition.addEventListener("dragstart", this.onDragStartTransition.bind(this));
@@ -1538,9 +3037,83 @@ class Gui {
 		}
 		document.body.addEventListener("keydown", this.onKeyDown.bind(this));
 		window.addEventListener("resize", this.onResize.bind(this));
+		window.addEventListener("hashchange", this.onHashChange.bind(this));
+		this.selectStrategy.value = this.strategy.name;
+		this.inputSeed.value = this.strategy.seed;
+		this.load();
 		this.update();
 	}
 
+	/**
+	 * Loads the autosaved Petri net (if any) and then the Petri net in the fragment of the URL (if any), where the
+	 * latter can be undone to get the autosaved Petri net back.
+	 *
+	 * @private
+	 */
+	load() {
+		try {
+			const text = window.localStorage.getItem(Gui.STORAGE_KEY);
+			if (text !== null) {
+				this.petriNet.restore(JSON.parse(text));
+				this.petriNet.fitToContent();
+			}
+		} catch(error) {
+			// The autosaved Petri net is not available or invalid.
+			this.petriNet.clear();
+		}
+		this.history.reset();
+		this.loadLink();
+	}
+
+	/** @private */
+	loadLink() {
+		if (window.location.hash.length <= 1) {
+			return;
+		}
+		try {
+			const state = GuiPetriNet.decode(window.location.hash.slice(1));
+			this.stopSimulation();
+			// The Petri net before is restored by the history if the state is invalid.
+			this.history.batch(() => this.petriNet.restore(state));
+			this.updateHistory();
+			this.petriNet.fitToContent();
+		} catch(error) {
+			this.dialog.openAlert("Link Error", error.message);
+		}
+		// Remove the fragment such that reloading the page uses the autosaved Petri net.
+		window.history.replaceState(null, "", window.location.pathname + window.location.search);
+	}
+
+	/** @private */
+	onHashChange(event) {
+		this.loadLink();
+	}
+
+	/**
+	 * Saves the Petri net in the local storage of the browser such that it is restored when the page is opened.
+	 *
+	 * @private
+	 */
+	save() {
+		try {
+			window.localStorage.setItem(Gui.STORAGE_KEY, JSON.stringify(this.petriNet.getState()));
+		} catch(error) {
+			// The local storage is not available (e.g. disabled or full).
+		}
+	}
+
+	/** @private */
+	async onCopyLink(event) {
+		const url = new URL(window.location.href);
+		url.hash = this.petriNet.encode();
+		try {
+			await navigator.clipboard.writeText(url.href);
+			this.dialog.openAlert("Copy Link", "A link to the Petri net has been copied to the clipboard.");
+		} catch(error) {
+			this.dialog.openAlert("Copy Link", `The link could not be copied to the clipboard. Please copy it manually:\n${url.href}`);
+		}
+	}
+
 	/** @private */
 	onReset(event) {
 		this.dialog.openReset();
@@ -1548,7 +3121,31 @@ class Gui {
 
 	/** @package */
 	reset(event) {
-		this.petriNet.clear();
+		this.stopSimulation();
+		this.history.batch(() => this.petriNet.clear());
+		this.updateHistory();
+	}
+
+	/** @private */
+	onUndo(event) {
+		this.stopSimulation();
+		this.history.undo();
+		this.updateHistory();
+	}
+
+	/** @private */
+	onRedo(event) {
+		this.stopSimulation();
+		this.history.redo();
+		this.updateHistory();
+	}
+
+	/** @package */
+	updateHistory() {
+		this.history.record();
+		this.buttonUndo.disabled = !this.history.canUndo();
+		this.buttonRedo.disabled = !this.history.canRedo();
+		this.save();
 	}
 
 	/** @private */
@@ -1557,8 +3154,17 @@ class Gui {
 	}
 
 	/** @package */
-	importPN(text) {
-		this.petriNet.import(text);
+	importPN(text, isLayoutUsed) {
+		this.stopSimulation();
+		this.history.batch(() => this.petriNet.import(text, isLayoutUsed));
+		this.updateHistory();
+	}
+
+	/** @private */
+	onLayout(event) {
+		this.stopSimulation();
+		this.petriNet.layout();
+		this.petriNet.fitToContent();
 	}
 
 	/** @private */
@@ -1566,17 +3172,32 @@ class Gui {
 		this.dialog.openExportPN();
 	}
 
-	/** @package */
-	exportPN(name) {
-		const file = new Blob([this.petriNet.export(name)], {type: "text/plain"});
-		const url = window.URL.createObjectURL(file);
-		const link = document.createElement("a");
-		link.setAttribute("href", url);
-		link.setAttribute("download", name + ".pnml");
-		link.click();
-		link.removeAttribute("href");
-		link.removeAttribute("download");
-		window.URL.revokeObjectURL(url);
+	/**
+	 * Downloads the Petri net or the Petri net (IR) in the given format (see GuiPetriNet.FORMATS).
+	 *
+	 * @package
+	 * @param {string} name    Name of the Petri net.
+	 * @param {boolean} isIR   True iff the Petri net (IR) should be exported.
+	 * @param {string} format  The format.
+	 */
+	exportPN(name, isIR, format) {
+		const file = new Blob([(isIR ? this.petriNet2Tau : this.petriNet).export(name, format)], {type: "text/plain"});
+		this.download(file, name + GuiPetriNet.FORMATS[format].extension);
+	}
+
+	/**
+	 * Downloads an image of the given Petri net in the given format (see GuiPetriNet.IMAGE_FORMATS).
+	 *
+	 * @package
+	 * @param {GuiPetriNet} petriNet The Petri net (input or IR).
+	 * @param {string} name          Name of the image.
+	 * @param {string} format        The format.
+	 * @param {number} scale         Number of pixels per pixel in the Petri net (PNG only).
+	 * @throws {Error} If the PNG-image could not be made.
+	 */
+	async exportImage(petriNet, name, format, scale) {
+		const file = format === "png" ? await petriNet.toPNG(scale) : new Blob([petriNet.toSVG()], {type: "image/svg+xml"});
+		this.download(file, name + GuiPetriNet.IMAGE_FORMATS[format].extension);
 	}
 
 	/** @private */
@@ -1585,18 +3206,66 @@ class Gui {
 	}
 
 	/** @package */
-	exportCCS(name) {
-		const file = new Blob([this.ccs.export()], {type: "text/plain"});
+	exportCCS(name, format) {
+		const file = new Blob([this.ccs.export(format, name)], {type: "text/plain"});
+		this.download(file, name + GuiCCS.FORMATS[format].extension);
+	}
+
+	/** @private */
+	download(file, fileName) {
 		const url = window.URL.createObjectURL(file);
 		const link = document.createElement("a");
 		link.setAttribute("href", url);
-		link.setAttribute("download", name + ".ccs");
+		link.setAttribute("download", fileName);
 		link.click();
 		link.removeAttribute("href");
 		link.removeAttribute("download");
 		window.URL.revokeObjectURL(url);
 	}
 
+	/** @private */
+	onSimulate(event) {
+		if (this.petriNet.isSimulating()) {
+			this.stopSimulation();
+			return;
+		}
+		this.petriNet.startSimulation();
+		this.buttonSimulate.innerText = "Stop simulation";
+	}
+
+	/** @package */
+	stopSimulation() {
+		this.petriNet.stopSimulation();
+		this.buttonSimulate.innerText = "Simulate";
+	}
+
+	/** @private */
+	onVerify(event) {
+		let verification;
+		try {
+			verification = new EncodingVerification(this.petriNet, this.ccs.ccs);
+		} catch(error) {
+			this.dialog.openAlert("Verification Error", error.message);
+			return;
+		}
+		this.dialog.openVerification(verification);
+	}
+
+	/** @private */
+	onStrategyChange(event) {
+		const isRandom = this.selectStrategy.value === SynchronisationStrategy.RANDOM;
+		this.inputSeed.disabled = !isRandom;
+		// The seed is only used (and validated) by the random strategy since a disabled input is always valid.
+		if (!isRandom) {
+			this.strategy = new SynchronisationStrategy(this.selectStrategy.value);
+		} else if (this.inputSeed.checkValidity()) {
+			this.strategy = new SynchronisationStrategy(this.selectStrategy.value, +this.inputSeed.value);
+		} else {
+			return;
+		}
+		this.update();
+	}
+
 	/** @private */
 	onHelp(event) {
 		this.help.classList.add("grid");
@@ -1686,9 +3355,32 @@ class Gui {
 	onToggleClick(event) {
 		const container = event.target.parentElement;
 		container.classList.toggle("collapsed");
+		if (container === this.reachabilityGraph.container) {
+			this.reachabilityGraph.render();
+		}
+		if (container === this.invariants.container) {
+			this.invariants.render();
+		}
+		if (container.contains(this.classification.container)) {
+			this.classification.render();
+		}
 		this.onResize();
 	}
 
+	/** @private */
+	onZoomClick(event) {
+		const petriNet = event.target.parentElement.parentElement.contains(this.petriNet.svg) ? this.petriNet : this.petriNet2Tau;
+		if (event.target.name === "zoomIn") {
+			petriNet.zoomBy(GuiPetriNet.ZOOM_STEP);
+		} else if (event.target.name === "zoomOut") {
+			petriNet.zoomBy(1 / GuiPetriNet.ZOOM_STEP);
+		} else if (event.target.name === "image") {
+			this.dialog.openExportImage(petriNet);
+		} else {
+			petriNet.fitToContent();
+		}
+	}
+
 	/** @private */
 	onKeyDown(event) {
 		if (this.dialog.isVisible()) {
@@ -1697,6 +3389,21 @@ class Gui {
 			}
 			return;
 		}
+		if (this.petriNet.isSimulating()) {
+			if (event.key === "Escape") {
+				this.stopSimulation();
+			}
+			return;
+		}
+		if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === "z" && !(event.target instanceof HTMLInputElement)) {
+			event.preventDefault();
+			if (event.shiftKey) {
+				this.onRedo(event);
+			} else {
+				this.onUndo(event);
+			}
+			return;
+		}
 		this.petriNet.onKeyDown(event);
 	}
 
@@ -1708,9 +3415,52 @@ class Gui {
 
 	/** @package */
 	update() {
-		const isEncodable = this.petriNet2Tau.update2TauSynchronisationNet(this.petriNet);
-		this.classification.update(this.petriNet);
-		this.buttonExportCCS.disabled = !this.ccs.update(isEncodable ? this.petriNet2Tau : this.petriNet);
+		const isEncodable = this.petriNet2Tau.update2TauSynchronisationNet(this.petriNet, this.strategy);
+		this.reachabilityGraph.update(this.petriNet);
+		this.invariants.update(this.petriNet);
+		this.classification.update(this.petriNet, this.reachabilityGraph);
+		this.buttonExportCCS.disabled = !this.ccs.update(isEncodable ? this.petriNet2Tau : this.petriNet, this.inputSimplify.checked);
+		this.buttonVerify.disabled = this.buttonExportCCS.disabled;
+		this.updateHistory();
+	}
+
+	/**
+	 * Highlights the place/transition with the given name in both Petri nets and the names in the CCS that are
+	 * derived from it (like X_p3 for p3 or s_t7 for t7).
+	 *
+	 * @package
+	 * @param {?string} name Name of the place/transition (like p3 or t7) or null to remove the highlighting.
+	 */
+	highlightName(name) {
+		this.petriNet.highlight(this.petriNet.findNodes(name), "linked");
+		this.petriNet2Tau.highlight(this.petriNet2Tau.findNodes(name), "linked");
+		this.ccs.highlight(name);
+	}
+
+	/**
+	 * Previews a repair of the Petri net in the Petri Net (IR)-box, which is empty when the repairs are suggested.
+	 *
+	 * @package
+	 * @param {?Repair} repair The repair to preview or null to remove the preview.
+	 */
+	previewRepair(repair) {
+		if (repair === null) {
+			this.petriNet2Tau.clear();
+			return;
+		}
+		const container = this.petriNet2Tau.svg.parentElement;
+		if (container.classList.contains("collapsed")) {
+			container.classList.remove("collapsed");
+			this.onResize();
+		}
+		this.petriNet2Tau.previewRepair(this.petriNet, repair);
+	}
+
+	/** @package */
+	applyRepair(repair) {
+		this.stopSimulation();
+		this.history.batch(() => this.petriNet.applyRepair(repair));
+		this.updateHistory();
 	}
 
 	/** @package */
@@ -1753,6 +3503,11 @@ class Gui {
 		this.dialog.openEditEdge(edge);
 	}
 
+	/** @package */
+	updateEdge(edgeId, weight) {
+		this.petriNet.updateEdge(edgeId, weight);
+	}
+
 	/** @package */
 	deleteEdge(edgeId) {
 		this.petriNet.deleteEdge(edgeId);
@@ -0,0 +1,145 @@
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*********************************************************************
+ * This file contains the computation of minimal place and           *
+ * transition invariants of Petri nets from the incidence matrix.    *
+ *********************************************************************
+ * @public are functions that can be called from the outside         *
+ *********************************************************************/
+
+/** A semi-positive invariant given by a weight for each place (P-invariant) or transition (T-invariant). */
+class Invariant {
+	weights;
+	support;
+
+	/** @package */
+	constructor(weights, nodes) {
+		this.weights = weights;
+		this.support = nodes.filter(node => weights[node.id] > 0).sort((a, b) => a.nameId - b.nameId);
+	}
+
+	/** @public */
+	toString() {
+		return this.support.map(node => (this.weights[node.id] === 1 ? "" : this.weights[node.id] + "·") + node.getName()).join(" + ");
+	}
+}
+
+/**
+ * Minimal (support) place and transition invariants of a Petri net, where
+ * - a P-invariant y satisfies yC = 0 such that the weighted sum of tokens y·M is the same in all reachable markings M,
+ * - a T-invariant x satisfies Cx = 0 such that firing every transition t x(t) times reproduces the marking,
+ * and C is the incidence matrix of the Petri net.
+ */
+class Invariants {
+	static MAX_ROWS = 1000;
+	petriNet;
+	placeInvariants;
+	transitionInvariants;
+	isPlaceInvariantsComplete;
+	isTransitionInvariantsComplete;
+
+	/**
+	 * Computes the invariants using the Farkas algorithm. The computation of the invariants of a kind is stopped
+	 * (and isPlaceInvariantsComplete/isTransitionInvariantsComplete is false and there are no invariants of that
+	 * kind) if an intermediate step has too many rows since there can be exponentially many.
+	 *
+	 * @public
+	 * @param {PetriNet} petriNet Petri net to compute invariants for.
+	 */
+	constructor(petriNet) {
+		if (!(petriNet instanceof PetriNet)) {
+			throw new TypeError("Petri net must be a Petri net.");
+		}
+		this.petriNet = petriNet;
+		const matrix = petriNet.getIncidenceMatrix();
+		const transposed = petriNet.transitions.map(transition => petriNet.places.map(place => matrix[place.id][transition.id]));
+		const placeWeights = this.farkas(matrix);
+		const transitionWeights = this.farkas(transposed);
+		this.isPlaceInvariantsComplete = placeWeights !== null;
+		this.isTransitionInvariantsComplete = transitionWeights !== null;
+		this.placeInvariants = (placeWeights || []).map(weights => new Invariant(weights, petriNet.places));
+		this.transitionInvariants = (transitionWeights || []).map(weights => new Invariant(weights, petriNet.transitions));
+	}
+
+	/**
+	 * Gets the weighted sum of tokens in the initial marking for a P-invariant, which is the same in all reachable markings.
+	 *
+	 * @public
+	 * @param {Invariant} invariant P-invariant of the Petri net.
+	 * @return {number} The weighted sum of tokens.
+	 */
+	getTokenSum(invariant) {
+		return invariant.support.reduce((sum, place) => sum + invariant.weights[place.id] * place.tokens, 0);
+	}
+
+	/** @public */
+	isCoveredByPlaceInvariants() {
+		return this.petriNet.places.every(place => this.placeInvariants.some(invariant => invariant.weights[place.id] > 0));
+	}
+
+	/** @public */
+	isCoveredByTransitionInvariants() {
+		return this.petriNet.transitions.every(transition => this.transitionInvariants.some(invariant => invariant.weights[transition.id] > 0));
+	}
+
+	/**
+	 * Finds the minimal semi-positive solutions y to yA = 0 with the Farkas algorithm where the rows [A | I] are
+	 * combined column by column such that the column becomes zero, and only rows with a minimal support are kept.
+	 *
+	 * @private
+	 * @param {number[][]} matrix The matrix A.
+	 * @return {?number[][]} The minimal solutions normalised such that the greatest common divisor is 1, or null if
+	 *                       the computation was stopped.
+	 */
+	farkas(matrix) {
+		const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+		const normalise = row => {
+			const divisor = row.values.concat(row.weights).reduce((divisor, value) => gcd(divisor, Math.abs(value)), 0) || 1;
+			return {values: row.values.map(value => value / divisor), weights: row.weights.map(value => value / divisor)};
+		};
+		const isSubset = (a, b) => a.weights.every((value, index) => value === 0 || b.weights[index] !== 0);
+		const columns = matrix.length ? matrix[0].length : 0;
+		let rows = matrix.map((values, index) => ({values: values.slice(), weights: matrix.map((row, other) => +(index === other))}));
+		for (let column = 0; column < columns; column++) {
+			const next = rows.filter(row => row.values[column] === 0);
+			const positive = rows.filter(row => row.values[column] > 0);
+			const negative = rows.filter(row => row.values[column] < 0);
+			for (const a of positive) {
+				for (const b of negative) {
+					const factorA = -b.values[column];
+					const factorB = a.values[column];
+					next.push(normalise({
+						values: a.values.map((value, index) => factorA * value + factorB * b.values[index]),
+						weights: a.weights.map((value, index) => factorA * value + factorB * b.weights[index]),
+					}));
+				}
+				if (next.length > Invariants.MAX_ROWS) {
+					return null;
+				}
+			}
+			// Remove rows whose support is not minimal (including duplicates of the same support).
+			rows = next.filter((row, index) => !next.some((other, otherIndex) => otherIndex !== index && isSubset(other, row) && (!isSubset(row, other) || otherIndex < index)));
+		}
+		return rows.map(row => row.weights);
+	}
+}
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./pn.js"));
+	module.exports = {Invariant, Invariants};
+}
@@ -0,0 +1,242 @@
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*********************************************************************
+ * This file contains an automatic layered layout (Sugiyama-style)   *
+ * of Petri nets where the places and transitions are placed in      *
+ * columns from left to right following the direction of the edges.  *
+ *********************************************************************
+ * @public are functions that can be called from the outside         *
+ *********************************************************************/
+
+/**
+ * Layered layout of a Petri net computed in the four steps of the Sugiyama framework:
+ * 1. Cycles are broken by reversing the edges that go back in a depth-first search from the initially marked places.
+ * 2. Every place/transition is assigned to a layer (column) by the longest path from the sources.
+ * 3. Edges spanning several layers get a dummy node (a point on the edge) in each layer they pass through.
+ * 4. The order within each layer is found by sweeping the layers with the barycenter heuristic, keeping the order
+ *    with the fewest crossing edges.
+ * The positions are multiples of 10 such that they are aligned to the grid of the graphical user interface.
+ */
+class LayeredLayout {
+	static LAYER_SPACING = 150;
+	static NODE_SPACING = 100;
+	static MARGIN = 50;
+	static SWEEPS = 12;
+	places;
+	transitions;
+	edges;
+
+	/**
+	 * Computes the layout, which is available as positions in the fields places and transitions (indexed by the
+	 * ids of the places and transitions), and as the points between the source and the target of each edge in the
+	 * field edges (indexed by the ids of the edges).
+	 *
+	 * @public
+	 * @param {PetriNet} petriNet The Petri net to lay out.
+	 */
+	constructor(petriNet) {
+		if (!(petriNet instanceof PetriNet)) {
+			throw new TypeError("Petri net must be a Petri net.");
+		}
+		// Places are numbered before transitions and dummy nodes are numbered after both.
+		const index = node => node instanceof Place ? node.id : petriNet.places.length + node.id;
+		const count = petriNet.places.length + petriNet.transitions.length;
+		const edges = petriNet.edges.map(edge => ({from: index(edge.from), to: index(edge.to)}));
+		const starts = petriNet.places.filter(place => place.tokens > 0).map(index)
+			.concat(petriNet.places.concat(petriNet.transitions).filter(node => node.in.length === 0).map(index));
+		const isReversed = LayeredLayout.findBackEdges(count, edges, starts);
+		const acyclic = edges.map((edge, i) => isReversed[i] ? {from: edge.to, to: edge.from} : edge);
+		const layerOf = LayeredLayout.assignLayers(count, acyclic);
+		// Split edges spanning several layers into segments between adjacent layers using dummy nodes.
+		const segments = [];
+		const chains = acyclic.map(edge => {
+			const chain = [];
+			let from = edge.from;
+			for (let layer = layerOf[edge.from] + 1; layer < layerOf[edge.to]; layer++) {
+				chain.push(layerOf.length);
+				segments.push({from: from, to: layerOf.length});
+				from = layerOf.length;
+				layerOf.push(layer);
+			}
+			segments.push({from: from, to: edge.to});
+			return chain;
+		});
+		const layers = LayeredLayout.orderLayers(layerOf, segments);
+		// Center the layers vertically.
+		const maxSize = layers.reduce((maxSize, layer) => Math.max(maxSize, layer.length), 0);
+		const positions = [];
+		layers.forEach((layer, l) => layer.forEach((node, i) => positions[node] = {
+			x: LayeredLayout.MARGIN + l * LayeredLayout.LAYER_SPACING,
+			y: LayeredLayout.MARGIN + Math.round((i + (maxSize - layer.length) / 2) * LayeredLayout.NODE_SPACING / 10) * 10,
+		}));
+		this.places = petriNet.places.map(place => positions[index(place)]);
+		this.transitions = petriNet.transitions.map(transition => positions[index(transition)]);
+		this.edges = chains.map((chain, i) => {
+			const points = chain.map(node => positions[node]);
+			if (!isReversed[i]) {
+				return points;
+			}
+			// Bend reversed edges between adjacent layers such that they do not overlap an edge in the other direction.
+			if (points.length === 0 && edges.some(edge => edge.from === edges[i].to && edge.to === edges[i].from)) {
+				const from = positions[edges[i].from];
+				const to = positions[edges[i].to];
+				return [{x: Math.round((from.x + to.x) / 20) * 10, y: Math.round((from.y + to.y) / 20) * 10 + 30}];
+			}
+			return points.reverse();
+		});
+	}
+
+	/**
+	 * Finds the edges that go back to a node on the stack of a depth-first search such that the graph becomes
+	 * acyclic when they are reversed.
+	 *
+	 * @private
+	 * @return {boolean[]} For each edge, true iff the edge should be reversed.
+	 */
+	static findBackEdges(count, edges, starts) {
+		const out = Array.from({length: count}, () => []);
+		edges.forEach((edge, i) => out[edge.from].push(i));
+		const isReversed = edges.map(() => false);
+		// 0 is unvisited, 1 is on the stack and 2 is finished.
+		const states = new Array(count).fill(0);
+		const visit = start => {
+			if (states[start] !== 0) {
+				return;
+			}
+			states[start] = 1;
+			const stack = [{node: start, next: 0}];
+			while (stack.length > 0) {
+				const top = stack[stack.length - 1];
+				if (top.next === out[top.node].length) {
+					states[top.node] = 2;
+					stack.pop();
+					continue;
+				}
+				const edge = out[top.node][top.next++];
+				const to = edges[edge].to;
+				if (states[to] === 1) {
+					isReversed[edge] = true;
+				} else if (states[to] === 0) {
+					states[to] = 1;
+					stack.push({node: to, next: 0});
+				}
+			}
+		};
+		starts.forEach(visit);
+		for (let node = 0; node < count; node++) {
+			visit(node);
+		}
+		return isReversed;
+	}
+
+	/**
+	 * Assigns each node of an acyclic graph to the layer given by the longest path to it from a source.
+	 *
+	 * @private
+	 * @return {number[]} The layer of each node.
+	 */
+	static assignLayers(count, edges) {
+		const out = Array.from({length: count}, () => []);
+		const inDegrees = new Array(count).fill(0);
+		edges.forEach(edge => {
+			out[edge.from].push(edge.to);
+			inDegrees[edge.to]++;
+		});
+		const layerOf = new Array(count).fill(0);
+		const queue = [];
+		inDegrees.forEach((inDegree, node) => {
+			if (inDegree === 0) {
+				queue.push(node);
+			}
+		});
+		for (let i = 0; i < queue.length; i++) {
+			out[queue[i]].forEach(to => {
+				layerOf[to] = Math.max(layerOf[to], layerOf[queue[i]] + 1);
+				if (--inDegrees[to] === 0) {
+					queue.push(to);
+				}
+			});
+		}
+		return layerOf;
+	}
+
+	/**
+	 * Orders the nodes in each layer by sweeping down and up the layers where each node is placed at the average
+	 * position (barycenter) of its neighbours in the previous layer of the sweep.
+	 *
+	 * @private
+	 * @return {number[][]} The nodes of each layer in order.
+	 */
+	static orderLayers(layerOf, segments) {
+		const numLayers = layerOf.reduce((numLayers, layer) => Math.max(numLayers, layer + 1), 0);
+		let layers = Array.from({length: numLayers}, () => []);
+		layerOf.forEach((layer, node) => layers[layer].push(node));
+		const predecessors = layerOf.map(() => []);
+		const successors = layerOf.map(() => []);
+		segments.forEach(segment => {
+			predecessors[segment.to].push(segment.from);
+			successors[segment.from].push(segment.to);
+		});
+		const positions = [];
+		const updatePositions = () => layers.forEach(layer => layer.forEach((node, i) => positions[node] = i));
+		updatePositions();
+		let best = layers.map(layer => layer.slice());
+		let bestCrossings = LayeredLayout.countCrossings(layers, successors, positions);
+		for (let sweep = 0; sweep < LayeredLayout.SWEEPS && bestCrossings > 0; sweep++) {
+			const isDown = sweep % 2 === 0;
+			const neighbours = isDown ? predecessors : successors;
+			for (let i = 1; i < numLayers; i++) {
+				const layer = layers[isDown ? i : numLayers - 1 - i];
+				const barycenters = new Map(layer.map(node => [node, neighbours[node].length === 0 ? positions[node] : neighbours[node].reduce((sum, neighbour) => sum + positions[neighbour], 0) / neighbours[node].length]));
+				layer.sort((a, b) => barycenters.get(a) - barycenters.get(b));
+				layer.forEach((node, i) => positions[node] = i);
+			}
+			const crossings = LayeredLayout.countCrossings(layers, successors, positions);
+			if (crossings < bestCrossings) {
+				best = layers.map(layer => layer.slice());
+				bestCrossings = crossings;
+			}
+		}
+		return best;
+	}
+
+	/**
+	 * Counts the pairs of segments between adjacent layers that cross each other.
+	 *
+	 * @private
+	 */
+	static countCrossings(layers, successors, positions) {
+		let crossings = 0;
+		layers.forEach(layer => {
+			const segments = layer.flatMap(node => successors[node].map(to => ({from: positions[node], to: positions[to]})));
+			for (let i = 0; i < segments.length; i++) {
+				for (let j = i + 1; j < segments.length; j++) {
+					if ((segments[i].from - segments[j].from) * (segments[i].to - segments[j].to) < 0) {
+						crossings++;
+					}
+				}
+			}
+		});
+		return crossings;
+	}
+}
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./pn.js"));
+	module.exports = {LayeredLayout};
+}
@@ -0,0 +1,160 @@
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*********************************************************************
+ * This file contains labelled transition systems (LTSs) that are    *
+ * generated by executing CCS processes using the structural         *
+ * operational semantics in ccs.js.                                  *
+ *********************************************************************
+ * @public are functions that can be called from the outside         *
+ *********************************************************************/
+
+/** Represents a state (a reachable process) in a labelled transition system. */
+class LTSState {
+	id;
+	process;
+	edges = [];
+
+	/** @package */
+	constructor(id, process) {
+		if (!(process instanceof Process)) {
+			throw new TypeError("State process must be a process.");
+		}
+		this.id = id;
+		this.process = process;
+	}
+
+	/** @public */
+	getName() {
+		return `S${this.id}`;
+	}
+}
+
+/**
+ * Labelled transition system of a CCS process where the states are the reachable processes (identified by the
+ * string representation of their normal form, see LTS.normalise) and the edges are labelled by actions.
+ */
+class LTS {
+	static MAX_STATES = 10000;
+	ccs;
+	states = [];
+	isComplete = true;
+
+	/**
+	 * Constructs the LTS using breadth-first search from the initial process of the CCS.
+	 *
+	 * @public
+	 * @param {CCS} ccs          CCS to construct the LTS for.
+	 * @param {number} maxStates Maximal number of states before the construction is stopped.
+	 * @throws {Error} If an undefined constant or unguarded recursion is encountered.
+	 */
+	constructor(ccs, maxStates = LTS.MAX_STATES) {
+		if (!(ccs instanceof CCS)) {
+			throw new TypeError("CCS must be a CCS.");
+		}
+		if (!Number.isInteger(maxStates) || maxStates < 1) {
+			throw new TypeError("Maximal number of states must be a positive integer.");
+		}
+		this.ccs = ccs;
+		const states = new Map();
+		const addState = process => {
+			const state = new LTSState(this.states.length, process);
+			this.states.push(state);
+			states.set(process.toString(), state);
+			return state;
+		};
+		addState(LTS.normalise(ccs.process, ccs.definitions));
+		for (let i = 0; i < this.states.length; i++) {
+			const state = this.states[i];
+			for (const transition of ccs.transitions(state.process)) {
+				const process = LTS.normalise(transition.process, ccs.definitions);
+				let next = states.get(process.toString());
+				if (next === undefined) {
+					if (this.states.length === maxStates) {
+						this.isComplete = false;
+						return;
+					}
+					next = addState(process);
+				}
+				state.edges.push({action: transition.action, state: next});
+			}
+		}
+	}
+
+	/**
+	 * Rewrites a process into a normal form that is structurally congruent to it such that the same state is not
+	 * found under different names: Parallel compositions (including exponents) are flattened, inactions are removed,
+	 * and equal components are merged into one exponent and sorted by their string representation, e.g. both
+	 * (P' | X^2) and (X | P' | X^1) become (P' | X^2). Constants defined as 0 are removed like inactions, e.g.
+	 * for the tokens of a place without outgoing edges. Sequential processes are not changed since their
+	 * continuations are normalised when they become states.
+	 *
+	 * @private
+	 * @param {Process} process                   The process.
+	 * @param {Object<string, Process>} definitions The definitions of the constants.
+	 * @return {Process} The normal form of the process.
+	 */
+	static normalise(process, definitions) {
+		if (process instanceof Restriction) {
+			return new Restriction(process.action, LTS.normalise(process.process, definitions));
+		}
+		if (!(process instanceof Parallel || process instanceof Exponent)) {
+			return process;
+		}
+		const counts = new Map();
+		const add = (process, count) => {
+			if (count === 0 || process instanceof Inaction || (process instanceof Constant && definitions[process.name] instanceof Inaction)) {
+				return;
+			}
+			if (process instanceof Parallel) {
+				process.processes.forEach(process => add(process, count));
+			} else if (process instanceof Exponent) {
+				add(process.process, count * process.count);
+			} else {
+				const normalised = LTS.normalise(process, definitions);
+				const key = normalised.toString();
+				if (!counts.has(key)) {
+					counts.set(key, {process: normalised, count: 0});
+				}
+				counts.get(key).count += count;
+			}
+		};
+		add(process, 1);
+		const keys = Array.from(counts.keys()).sort();
+		return Parallel.compose(keys.map(key => counts.get(key).count === 1 ? counts.get(key).process : new Exponent(counts.get(key).process, counts.get(key).count)));
+	}
+
+	/** @public */
+	getInitialState() {
+		return this.states[0];
+	}
+
+	/** @public */
+	getDeadlocks() {
+		return this.states.filter(state => state.edges.length === 0);
+	}
+
+	/** @public */
+	toString() {
+		return this.states.map(state => state.edges.length === 0 ? `${state.getName()}: deadlock` : state.edges.map(edge => `${state.getName()} --${edge.action.toString()}--> ${edge.state.getName()}`).join("\n")).join("\n");
+	}
+}
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./ccs.js"));
+	module.exports = {LTSState, LTS};
+}
@@ -0,0 +1,165 @@
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**********************************************************************
+ * This file contains an export of CCS in the abstract syntax tree    *
+ * (AST) in ccs.js into process specifications for the mCRL2 toolset  *
+ * such that the encoding can be analysed with the mCRL2 tools.       *
+ **********************************************************************
+ * @public are functions that can be called from the outside          *
+ **********************************************************************/
+
+/**
+ * Writes CCS as mCRL2 process specifications (.mcrl2-files), where
+ * - an input action a is the action a and its co-action is the action a_co,
+ * - the synchronisation of a and a_co is the action a_sync (given by comm), which is hidden (becomes τ),
+ * - only the actions on their own and the synchronisations are allowed (the multi-actions of || are not),
+ * - a restriction (νa)P blocks a and a_co in P after a and a_co in P have synchronised,
+ * - an exponent P^n is the parallel composition of n copies of P, and inaction is delta.
+ * Names that are reserved in mCRL2 (like in or sum) or already used get underscores appended.
+ * Note that mcrl22lps can only linearise specifications where || (and comm and block) are not used inside
+ * recursive process equations, so encodings where a constant refers to a parallel composition or a restriction
+ * (like P := a?.(Q | R) where Q or R refers back to P) are written, but mcrl22lps may reject them.
+ * Such specifications get a comment saying so.
+ */
+class MCRL2 {
+	static RESERVED = new Set([
+		"abs", "act", "allow", "block", "comm", "cons", "count", "delay", "delta", "div", "end", "eqn", "exists", "exp",
+		"false", "forall", "glob", "head", "hide", "if", "in", "init", "lambda", "map", "max", "min", "mod", "mu", "nu",
+		"pbes", "pred", "proc", "rename", "rhead", "rtail", "sort", "struct", "succ", "sum", "tail", "tau", "true", "val",
+		"var", "whr", "yaled", "Bag", "Bool", "FBag", "FSet", "Int", "List", "Nat", "Pos", "Real", "Set",
+	]);
+
+	/**
+	 * Writes CCS as an mCRL2 process specification.
+	 *
+	 * @public
+	 * @param {CCS} ccs     The CCS.
+	 * @param {string} name Name of the specification (written as a comment).
+	 * @return {string} The mCRL2 process specification.
+	 */
+	static stringify(ccs, name) {
+		// Find the names of the actions, how they are used and which are restricted.
+		const inputs = new Set();
+		const coActions = new Set();
+		const restricted = new Set();
+		const collect = process => {
+			if (process instanceof Prefix) {
+				if (process.action instanceof InputAction) {
+					inputs.add(process.action.name);
+				} else if (process.action instanceof CoAction) {
+					coActions.add(process.action.name);
+				}
+			} else if (process instanceof Restriction) {
+				restricted.add(process.action.name);
+			}
+			MCRL2.getChildren(process).forEach(collect);
+		};
+		Object.values(ccs.definitions).concat([ccs.process]).forEach(collect);
+		const names = Array.from(new Set(Array.from(inputs).concat(Array.from(coActions)))).sort();
+		// Give every constant and action a unique identifier that is not reserved.
+		const used = new Set();
+		const identifier = name => {
+			let id = name;
+			while (MCRL2.RESERVED.has(id) || used.has(id)) {
+				id += "_";
+			}
+			used.add(id);
+			return id;
+		};
+		const constants = {};
+		Object.keys(ccs.definitions).forEach(name => constants[name] = identifier(name));
+		const actions = {};
+		names.forEach(name => actions[name] = {input: inputs.has(name) ? identifier(name) : null});
+		names.forEach(name => actions[name].coAction = coActions.has(name) ? identifier(name + "_co") : null);
+		names.forEach(name => actions[name].sync = inputs.has(name) && coActions.has(name) ? identifier(name + "_sync") : null);
+		const syncNames = names.filter(name => actions[name].sync !== null);
+		const communications = syncNames => `{${syncNames.map(name => `${actions[name].input} | ${actions[name].coAction} -> ${actions[name].sync}`).join(", ")}}`;
+		const print = process => {
+			if (process instanceof Prefix) {
+				const action = process.action instanceof InternalAction ? "tau" : process.action instanceof InputAction ? actions[process.action.name].input : actions[process.action.name].coAction;
+				return `${action} . ${print(process.process)}`;
+			}
+			if (process instanceof Choice) {
+				return `(${process.choices.map(print).join(" + ")})`;
+			}
+			if (process instanceof Parallel) {
+				return `(${process.processes.map(print).join(" || ")})`;
+			}
+			if (process instanceof Exponent) {
+				if (process.count <= 1) {
+					return process.count === 0 ? "delta" : print(process.process);
+				}
+				return `(${new Array(process.count).fill(print(process.process)).join(" || ")})`;
+			}
+			if (process instanceof Restriction) {
+				const action = actions[process.action.name];
+				if (action === undefined) {
+					// The restricted action is not used.
+					return print(process.process);
+				}
+				const blocked = [action.input, action.coAction].filter(id => id !== null);
+				const body = action.sync === null ? print(process.process) : `comm(${communications([process.action.name])}, ${print(process.process)})`;
+				return `block({${blocked.join(", ")}}, ${body})`;
+			}
+			if (process instanceof Constant) {
+				return constants[process.name];
+			}
+			return "delta";
+		};
+		const declarations = names.flatMap(name => [actions[name].input, actions[name].coAction, actions[name].sync]).filter(id => id !== null);
+		// Restricted names synchronise (by comm) inside their restrictions.
+		const freeSyncNames = syncNames.filter(name => !restricted.has(name));
+		let init = `allow({${declarations.join(", ")}}, ${freeSyncNames.length ? `comm(${communications(freeSyncNames)}, ${print(ccs.process)})` : print(ccs.process)})`;
+		if (syncNames.length) {
+			init = `hide({${syncNames.map(name => actions[name].sync).join(", ")}}, ${init})`;
+		}
+		const sections = [`% ${name}: CCS encoding of a Petri net`];
+		if (Object.values(ccs.definitions).some(MCRL2.hasParallel)) {
+			sections[0] += "\n% The process equations use || which mcrl22lps may not be able to linearise.";
+		}
+		if (declarations.length) {
+			sections.push(`act\n  ${declarations.join(", ")};`);
+		}
+		if (Object.keys(ccs.definitions).length) {
+			sections.push("proc\n" + Object.keys(ccs.definitions).map(name => `  ${constants[name]} = ${print(ccs.definitions[name])};\n`).join("").trimEnd());
+		}
+		sections.push(`init\n  ${init};`);
+		return sections.join("\n\n") + "\n";
+	}
+
+	/** @private */
+	static hasParallel(process) {
+		return process instanceof Parallel || process instanceof Exponent && process.count > 1 || process instanceof Restriction || MCRL2.getChildren(process).some(MCRL2.hasParallel);
+	}
+
+	/** @private */
+	static getChildren(process) {
+		if (process instanceof Prefix || process instanceof Exponent || process instanceof Restriction) {
+			return [process.process];
+		}
+		if (process instanceof Choice) {
+			return process.choices;
+		}
+		return process instanceof Parallel ? process.processes : [];
+	}
+}
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./ccs.js"));
+	module.exports = {MCRL2};
+}
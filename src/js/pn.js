@@ -198,6 +198,179 @@ class Edge extends IdObject {
 	}
 }
 
+/**
+ * Represents a marking of a Petri net as the number of tokens in each place indexed by the place ids.
+ * A place can have ω (arbitrarily many) tokens in markings of coverability graphs.
+ */
+class Marking {
+	static OMEGA = Infinity;
+	tokens;
+
+	/** @public */
+	constructor(tokens) {
+		if (!(tokens instanceof Array) || !tokens.every(count => (Number.isInteger(count) && count >= 0) || count === Marking.OMEGA)) {
+			throw new TypeError("Marking must be given an array of non-negative integers or ω.");
+		}
+		this.tokens = tokens;
+	}
+
+	/** @public */
+	getTokens(place) {
+		return this.tokens[place.id];
+	}
+
+	/** @public */
+	equals(other) {
+		return this.tokens.length === other.tokens.length && this.tokens.every((count, id) => count === other.tokens[id]);
+	}
+
+	/** @public */
+	covers(other) {
+		return this.tokens.length === other.tokens.length && this.tokens.every((count, id) => count >= other.tokens[id]);
+	}
+
+	/** @public */
+	hasOmega() {
+		return this.tokens.includes(Marking.OMEGA);
+	}
+
+	/** @public */
+	toString() {
+		return "(" + this.tokens.map(count => count === Marking.OMEGA ? "ω" : count).join(", ") + ")";
+	}
+}
+
+/**
+ * Strategy for the order in which the places of a group are synchronised in pairs when transforming a group-choice
+ * net into a 2-τ-synchronisation net. The strategies are:
+ * - chain: the places are synchronised from left to right (in the order of the ingoing edges of the transition),
+ *   i.e. the first two places are synchronised, then the new place is synchronised with the next place and so on,
+ * - tree: the places are synchronised in pairs from left to right in rounds, giving a balanced binary tree,
+ * - random: two random places are synchronised at a time, where the random choices are determined by the seed.
+ */
+class SynchronisationStrategy {
+	static CHAIN = "chain";
+	static TREE = "tree";
+	static RANDOM = "random";
+	static NAMES = [SynchronisationStrategy.CHAIN, SynchronisationStrategy.TREE, SynchronisationStrategy.RANDOM];
+	name;
+	seed;
+
+	/**
+	 * @public
+	 * @param {string} name Name of the strategy.
+	 * @param {number} seed Seed (32-bit unsigned integer) for the random strategy, a random seed by default.
+	 */
+	constructor(name = SynchronisationStrategy.RANDOM, seed = Math.floor(Math.random() * 0x100000000)) {
+		if (!SynchronisationStrategy.NAMES.includes(name)) {
+			throw new Error("Unknown synchronisation strategy.");
+		}
+		if (!Number.isInteger(seed) || seed < 0 || seed >= 0x100000000) {
+			throw new Error("Seed must be a 32-bit unsigned integer.");
+		}
+		this.name = name;
+		this.seed = seed;
+	}
+
+	/**
+	 * Parses a strategy of the form `chain`, `tree`, `random` or `random:<seed>`.
+	 *
+	 * @public
+	 * @param {string} text The strategy.
+	 * @return {SynchronisationStrategy} The strategy.
+	 * @throws {Error} If the text is not a valid strategy.
+	 */
+	static parse(text) {
+		const match = /^([a-z]+)(?::(\d+))?$/.exec(text);
+		if (match === null || (match[2] !== undefined && match[1] !== SynchronisationStrategy.RANDOM)) {
+			throw new Error("Unknown synchronisation strategy.");
+		}
+		return match[2] === undefined ? new SynchronisationStrategy(match[1]) : new SynchronisationStrategy(match[1], +match[2]);
+	}
+
+	/** @public */
+	toString() {
+		return this.name === SynchronisationStrategy.RANDOM ? `${this.name}:${this.seed}` : this.name;
+	}
+
+	/**
+	 * Creates a generator of synchronisation patterns. A new generator should be used for each transformation
+	 * such that the random strategy gives the same patterns for the same seed and Petri net.
+	 *
+	 * A synchronisation pattern is a flat array of pairs of indices into the array of places to synchronise,
+	 * where the first index of a pair is the smallest. After each pair, the place at the first index is replaced
+	 * by the new place, and the place at the second index is replaced by the last place (which is removed).
+	 *
+	 * @public
+	 * @return {function(number, number): number[]} Generator that given the number of places and the number of
+	 *     places that should remain, returns a synchronisation pattern.
+	 */
+	createPatternGenerator() {
+		if (this.name === SynchronisationStrategy.RANDOM) {
+			// Mulberry32 pseudo-random number generator.
+			let state = this.seed;
+			const random = () => {
+				state = (state + 0x6d2b79f5) | 0;
+				let t = Math.imul(state ^ (state >>> 15), state | 1);
+				t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+				return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+			};
+			return (count, done) => {
+				const order = [];
+				for (let i = count - 1; i >= done; i--) {
+					const first = Math.floor(i * random());
+					const second = Math.floor((i - 1) * random());
+					order.push(Math.min(first, second), Math.max(first, second + (first <= second)));
+				}
+				return order;
+			};
+		}
+		// Chain continues with the new place while tree puts the new place at the end of the queue.
+		const isChain = this.name === SynchronisationStrategy.CHAIN;
+		return (count, done) => {
+			const order = [];
+			// Simulate the array of places (as numbers) to find the indices.
+			const places = Array.from({length: count}, (_, i) => i);
+			const queue = places.slice();
+			for (let newPlace = count; queue.length > done; newPlace++) {
+				const first = places.indexOf(queue.shift());
+				const second = places.indexOf(queue.shift());
+				const min = Math.min(first, second);
+				const max = Math.max(first, second);
+				order.push(min, max);
+				places[min] = newPlace;
+				places[max] = places[places.length - 1];
+				places.pop();
+				if (isChain) {
+					queue.unshift(newPlace);
+				} else {
+					queue.push(newPlace);
+				}
+			}
+			return order;
+		};
+	}
+}
+
+/** Witness for why a Petri net is not in a class, given by an explanation and the places/transitions involved. */
+class ClassViolation {
+	static GROUP_CHOICE_NET = "Group-choice net";
+	static TWO_TAU_SYNCHRONISATION_NET = "2-τ-synchronisation net";
+	static CCS_NET = "CCS net";
+	static FREE_CHOICE_NET = "Free-choice net";
+	static WORKFLOW_NET = "Workflow net";
+	className;
+	message;
+	nodes;
+
+	/** @package */
+	constructor(className, message, nodes) {
+		this.className = className;
+		this.message = message;
+		this.nodes = nodes;
+	}
+}
+
 /** Class for Petri net with places, transitions and edges that are stored as a dynamic graph. */
 class PetriNet {
 	places = [];
@@ -293,13 +466,92 @@ class PetriNet {
 		this.edges.pop();
 	}
 
+	/**
+	 * Gets the incidence matrix of this Petri net where the entry for a place and a transition is the number of
+	 * tokens produced minus the number of tokens consumed in the place by firing the transition.
+	 *
+	 * @public
+	 * @return {number[][]} The incidence matrix indexed by place ids and then transition ids.
+	 */
+	getIncidenceMatrix() {
+		const matrix = this.places.map(place => this.transitions.map(transition => 0));
+		this.edges.forEach(edge => {
+			if (edge.from instanceof Place) {
+				matrix[edge.from.id][edge.to.id] -= edge.weight;
+			} else {
+				matrix[edge.to.id][edge.from.id] += edge.weight;
+			}
+		});
+		return matrix;
+	}
+
+	/**
+	 * Gets the initial marking of this Petri net given by the tokens in the places.
+	 *
+	 * @public
+	 * @return {Marking} The initial marking.
+	 */
+	getInitialMarking() {
+		return new Marking(this.places.map(place => place.tokens));
+	}
+
+	/**
+	 * Checks if a transition is enabled in a marking meaning that every place with an edge to the transition
+	 * has at least as many tokens as the weight of the edge.
+	 *
+	 * @public
+	 * @param {Transition} transition Transition in this Petri net.
+	 * @param {Marking} marking       Marking of this Petri net.
+	 * @return {boolean} True iff the transition is enabled in the marking.
+	 */
+	isEnabled(transition, marking) {
+		if (this.transitions[transition.id] !== transition) {
+			throw new Error("Unrelated transition cannot be checked.");
+		}
+		if (marking.tokens.length !== this.places.length) {
+			throw new Error("Marking does not match the places of the Petri net.");
+		}
+		return transition.in.every(edge => marking.getTokens(edge.from) >= edge.weight);
+	}
+
+	/**
+	 * Finds all transitions that are enabled in a marking.
+	 *
+	 * @public
+	 * @param {Marking} marking Marking of this Petri net.
+	 * @return {Transition[]} The enabled transitions.
+	 */
+	enabledTransitions(marking) {
+		return this.transitions.filter(transition => this.isEnabled(transition, marking));
+	}
+
+	/**
+	 * Fires an enabled transition in a marking by consuming tokens from the places with an edge to the transition
+	 * and producing tokens in the places with an edge from the transition according to the edge weights.
+	 *
+	 * @public
+	 * @param {Transition} transition Transition in this Petri net.
+	 * @param {Marking} marking       Marking of this Petri net.
+	 * @return {Marking} A new marking that is the result of firing the transition.
+	 * @throws {Error} If the transition is not enabled in the marking.
+	 */
+	fire(transition, marking) {
+		if (!this.isEnabled(transition, marking)) {
+			throw new Error("Transition is not enabled.");
+		}
+		const tokens = marking.tokens.slice();
+		transition.in.forEach(edge => tokens[edge.from.id] -= edge.weight);
+		transition.out.forEach(edge => tokens[edge.to.id] += edge.weight);
+		return new Marking(tokens);
+	}
+
 	/**
 	 * Runs breadth-first search (BFS) from a given start node to check if all nodes are reachable.
 	 *
 	 * @private
 	 * @param {Node} start      Start node, which must be a place or transition in the Petri net.
 	 * @param {boolean} reverse True to run BFS as if all edges was reversed, otherwise the normal direction.
-	 * @return {boolean} True iff all nodes in the Petri net was visited.
+	 * @return {?Node} A place/transition that was not visited, or null if all nodes in the Petri net was visited.
 	 */
 	bfs(start, reverse) {
 		const visitedPlaces = [];
@@ -317,7 +569,7 @@ class PetriNet {
 				}
 			});
 		}
-		return this.places.every(place => visitedPlaces[place.id]) && this.transitions.every(transition => visitedTransitions[transition.id]);
+		return this.places.find(place => !visitedPlaces[place.id]) || this.transitions.find(transition => !visitedTransitions[transition.id]) || null;
 	}
 
 	/**
@@ -330,7 +582,24 @@ class PetriNet {
 	 * @return {boolean} True iff this Petri net is a CCS net.
 	 */
 	isCCSNet() {
-		return this.transitions.every(transition => transition.in.length === 1 || (transition.in.length === 2 && transition.label === "τ"));
+		return this.findCCSNetViolation() === null;
+	}
+
+	/**
+	 * Finds a transition that prevents this Petri net from being a CCS net (see PetriNet::isCCSNet).
+	 *
+	 * @public
+	 * @return {?ClassViolation} The violation, or null if this Petri net is a CCS net.
+	 */
+	findCCSNetViolation() {
+		const transition = this.transitions.find(transition => !(transition.in.length === 1 || (transition.in.length === 2 && transition.label === "τ")));
+		if (transition === undefined) {
+			return null;
+		}
+		const message = transition.in.length === 2
+			? `Transition ${transition.getName()} has 2 ingoing edges but the label ${transition.label} instead of τ.`
+			: `Transition ${transition.getName()} has ${transition.in.length} ingoing edges instead of 1 (or 2 with the label τ).`;
+		return new ClassViolation(ClassViolation.CCS_NET, message, [transition]);
 	}
 
 	/**
@@ -344,7 +613,25 @@ class PetriNet {
 	 * @return {boolean} True iff this Petri net is a 2-τ-synchronisation net.
 	 */
 	is2TauSynchronisationNet() {
-		return this.transitions.every(transition => transition.in.length < 2 || (transition.in.length === 2 && transition.label === "τ"));
+		return this.find2TauSynchronisationNetViolation() === null;
+	}
+
+	/**
+	 * Finds a transition that prevents this Petri net from being a 2-τ-synchronisation net (see
+	 * PetriNet::is2TauSynchronisationNet).
+	 *
+	 * @public
+	 * @return {?ClassViolation} The violation, or null if this Petri net is a 2-τ-synchronisation net.
+	 */
+	find2TauSynchronisationNetViolation() {
+		const transition = this.transitions.find(transition => !(transition.in.length < 2 || (transition.in.length === 2 && transition.label === "τ")));
+		if (transition === undefined) {
+			return null;
+		}
+		const message = transition.in.length === 2
+			? `Transition ${transition.getName()} has 2 ingoing edges but the label ${transition.label} instead of τ.`
+			: `Transition ${transition.getName()} has ${transition.in.length} ingoing edges instead of at most 2.`;
+		return new ClassViolation(ClassViolation.TWO_TAU_SYNCHRONISATION_NET, message, [transition]);
 	}
 
 	/**
@@ -357,7 +644,26 @@ class PetriNet {
 	 * @return {boolean} True iff this Petri net is a free-choice net.
 	 */
 	isFreeChoiceNet() {
-		return this.transitions.every(transition => transition.in.length <= 1 || transition.in.every(edge => edge.from.out.length === 1));
+		return this.findFreeChoiceNetViolation() === null;
+	}
+
+	/**
+	 * Finds a transition and a place with an edge to it that prevent this Petri net from being a free-choice net
+	 * (see PetriNet::isFreeChoiceNet).
+	 *
+	 * @public
+	 * @return {?ClassViolation} The violation, or null if this Petri net is a free-choice net.
+	 */
+	findFreeChoiceNetViolation() {
+		for (const transition of this.transitions) {
+			const edge = transition.in.length <= 1 ? undefined : transition.in.find(edge => edge.from.out.length !== 1);
+			if (edge !== undefined) {
+				const place = edge.from;
+				const message = `Transition ${transition.getName()} has ${transition.in.length} ingoing edges but place ${place.getName()} with an edge to it also has edges to other transitions (${place.out.map(edge => edge.to.getName()).filter(name => name !== transition.getName()).join(", ")}).`;
+				return new ClassViolation(ClassViolation.FREE_CHOICE_NET, message, [transition, place]);
+			}
+		}
+		return null;
 	}
 
 	/**
@@ -373,15 +679,37 @@ class PetriNet {
 	 * @return {boolean} True iff this Petri net is a workflow net.
 	 */
 	isWorkflowNet() {
+		return this.findWorkflowNetViolation() === null;
+	}
+
+	/**
+	 * Finds the places without ingoing/outgoing edges or a place/transition that is not on a path from the source
+	 * to the sink that prevent this Petri net from being a workflow net (see PetriNet::isWorkflowNet).
+	 *
+	 * @public
+	 * @return {?ClassViolation} The violation, or null if this Petri net is a workflow net.
+	 */
+	findWorkflowNetViolation() {
+		const names = nodes => nodes.map(node => node.getName()).join(", ");
 		const sources = this.places.filter(place => place.in.length === 0);
 		if (sources.length !== 1) {
-			return false;
+			const message = sources.length === 0 ? "There is no place without ingoing edges (source)." : `There are ${sources.length} places without ingoing edges (${names(sources)}) instead of one source.`;
+			return new ClassViolation(ClassViolation.WORKFLOW_NET, message, sources);
 		}
 		const sinks = this.places.filter(place => place.out.length === 0);
 		if (sinks.length !== 1) {
-			return false;
+			const message = sinks.length === 0 ? "There is no place without outgoing edges (sink)." : `There are ${sinks.length} places without outgoing edges (${names(sinks)}) instead of one sink.`;
+			return new ClassViolation(ClassViolation.WORKFLOW_NET, message, sinks);
+		}
+		const unreachable = this.bfs(sources[0], false);
+		if (unreachable !== null) {
+			return new ClassViolation(ClassViolation.WORKFLOW_NET, `${unreachable instanceof Place ? "Place" : "Transition"} ${unreachable.getName()} cannot be reached from the source ${sources[0].getName()}.`, [unreachable, sources[0]]);
+		}
+		const stuck = this.bfs(sinks[0], true);
+		if (stuck !== null) {
+			return new ClassViolation(ClassViolation.WORKFLOW_NET, `The sink ${sinks[0].getName()} cannot be reached from ${stuck instanceof Place ? "place" : "transition"} ${stuck.getName()}.`, [stuck, sinks[0]]);
 		}
-		return this.bfs(sources[0], false) && this.bfs(sinks[0], true);
+		return null;
 	}
 
 	/**
@@ -394,25 +722,63 @@ class PetriNet {
 	 * @return {boolean} True iff this Petri net is a group-choice net.
 	 */
 	isGroupChoiceNet() {
+		return this.findGroupChoiceNetViolation() === null;
+	}
+
+	/**
+	 * Finds two places with an edge to the same transition but different sets of transitions with an ingoing edge
+	 * from them, which prevent this Petri net from being a group-choice net (see PetriNet::isGroupChoiceNet).
+	 *
+	 * @public
+	 * @return {?ClassViolation} The violation, or null if this Petri net is a group-choice net.
+	 */
+	findGroupChoiceNetViolation() {
 		const checked = [];
-		return this.places.every(place => {
+		for (const place of this.places) {
 			if (checked[place.id]) {
-				return true;
+				continue;
 			}
 			// Collect the set of transitions with an ingoing edge from `place`.
 			const transitionSet = new Set(place.out.map(edge => edge.to));
 			// For every transition in the transition set.
-			return place.out.every(edge => {
-				const transition = edge.to;
+			for (const transition of transitionSet) {
 				// For every place with an ingoing edge to `transition`.
-				return transition.in.every(edge => {
+				for (const edge of transition.in) {
 					const otherPlace = edge.from;
 					checked[otherPlace.id] = true;
 					// Check that `otherPlace` has the same transition set as `place`.
-					return otherPlace.out.length === place.out.length && otherPlace.out.every(edge => transitionSet.has(edge.to));
-				});
-			});
-		});
+					if (otherPlace.out.length !== place.out.length || !otherPlace.out.every(edge => transitionSet.has(edge.to))) {
+						const postSet = place => "{" + place.out.map(edge => edge.to).sort((a, b) => a.nameId - b.nameId).map(transition => transition.getName()).join(", ") + "}";
+						const message = `Places ${place.getName()} and ${otherPlace.getName()} both have an edge to transition ${transition.getName()} but different sets of transitions with an edge from them (${postSet(place)} and ${postSet(otherPlace)}).`;
+						return new ClassViolation(ClassViolation.GROUP_CHOICE_NET, message, [place, otherPlace, transition]);
+					}
+				}
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Classifies this Petri net in terms of all the known classes, where classes that are implied by other
+	 * classes are not checked explicitly (e.g. every free-choice net is a group-choice net).
+	 *
+	 * @see Figure 1 in {@link https://doi.org/10.1007/978-3-031-62697-5_3}.
+	 * @public
+	 * @return {Object<string, boolean>} Object mapping each class to true iff this Petri net is in the class.
+	 */
+	classify() {
+		const isWorkflowNet = this.isWorkflowNet();
+		const isFreeChoiceNet = this.isFreeChoiceNet();
+		const isCCSNet = this.isCCSNet();
+		return {
+			isPetriNet: true,
+			isGroupChoiceNet: isFreeChoiceNet || this.isGroupChoiceNet(),
+			is2TauSynchronisationNet: isCCSNet || this.is2TauSynchronisationNet(),
+			isCCSNet: isCCSNet,
+			isFreeChoiceNet: isFreeChoiceNet,
+			isWorkflowNet: isWorkflowNet,
+			isFreeChoiceWorkflowNet: isWorkflowNet && isFreeChoiceNet,
+		};
 	}
 
 	/**
@@ -427,10 +793,11 @@ class PetriNet {
 	 * @see Algorithm 6 in {@link https://doi.org/10.1007/978-3-031-62697-5_3}.
 	 * @see Section 2.2/Figure 3-5 in (upcoming paper).
 	 * @public
+	 * @param {SynchronisationStrategy} strategy Strategy for the synchronisation pattern (random by default).
 	 * @return {PetriNet} A new Petri net that is a 2-τ-synchronisation net.
 	 * @throws {Error} If this Petri net is not a 2-τ-synchronisation net or a group-choice net.
 	 */
-	to2TauSynchronisationNet() {
+	to2TauSynchronisationNet(strategy = new SynchronisationStrategy()) {
 		const is2TauSynchronisationNet = this.is2TauSynchronisationNet();
 		if (!is2TauSynchronisationNet && !this.isGroupChoiceNet()) {
 			throw new Error("Petri net is neither a 2-τ-synchronisation net or group-choice net as required.");
@@ -444,6 +811,7 @@ class PetriNet {
 		if (is2TauSynchronisationNet) {
 			return petriNet;
 		}
+		const generatePattern = strategy.createPatternGenerator();
 		petriNet.transitions.forEach(transition => {
 			if (transition.in.length <= (transition.label === "τ" ? 2 : 1)) {
 				// Already satisfies the 2-τ-synchronisation net constraints.
@@ -451,14 +819,9 @@ class PetriNet {
 			}
 			const places = transition.in.map(edge => edge.from);
 			const transitions = places[0].out.map(edge => edge.to);
-			// Generate the random synchronisation pattern.
+			// Generate the synchronisation pattern.
 			const done = transitions.every(transition => transition.label === "τ") ? 2 : 1;
-			const order = [];
-			for (let i = places.length - 1; i >= done; i--) {
-				const first = Math.floor(i * Math.random());
-				const second = Math.floor((i - 1) * Math.random());
-				order.push(Math.min(first, second), Math.max(first, second + (first <= second)));
-			}
+			const order = generatePattern(places.length, done);
 			// Remove all outgoing edges from affected places and ingoing edges from affected transitions.
 			places.forEach(place => place.out = []);
 			transitions.forEach(transition => transition.in = []);
@@ -552,3 +915,9 @@ class PetriNet {
 		return new CCS(definitions, initialProcess);
 	}
 }
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./ccs.js"));
+	module.exports = {IdObject, Node, Place, Transition, Edge, Marking, SynchronisationStrategy, ClassViolation, PetriNet};
+}
@@ -0,0 +1,323 @@
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**********************************************************************
+ * This file contains a reader and a writer for PNML-files of P/T nets *
+ * that do not depend on the DOM, such that PNML-files can be handled  *
+ * both in the browser and in Node.js (see the command-line tool).     *
+ **********************************************************************
+ * @public are functions that can be called from the outside          *
+ **********************************************************************/
+
+/** Element in a parsed XML document with the namespace prefix removed from its name. */
+class XmlElement {
+	rawName;
+	name;
+	attributes;
+	parent;
+	children = [];
+
+	/** @package */
+	constructor(name, attributes, parent) {
+		this.rawName = name;
+		this.name = name.replace(/^[^:]*:/, "");
+		this.attributes = attributes;
+		this.parent = parent;
+	}
+
+	/** @public */
+	get textContent() {
+		return this.children.map(child => typeof child === "string" ? child : child.textContent).join("");
+	}
+
+	/** @public */
+	getAttribute(name) {
+		return this.attributes[name] === undefined ? null : this.attributes[name];
+	}
+
+	/** @public */
+	hasAttribute(name) {
+		return this.attributes[name] !== undefined;
+	}
+
+	/**
+	 * Finds all descendant elements with the given name whose parent has one of the given names,
+	 * like the CSS-selector `parent>name` in querySelectorAll.
+	 *
+	 * @public
+	 * @param {string[]} parentNames Allowed names of the parent element.
+	 * @param {string} name          Name of the elements to find.
+	 * @return {XmlElement[]} The found elements in document order.
+	 */
+	findAll(parentNames, name) {
+		const elements = [];
+		this.children.forEach(child => {
+			if (typeof child === "string") {
+				return;
+			}
+			if (child.name === name && parentNames.includes(this.name)) {
+				elements.push(child);
+			}
+			elements.push(...child.findAll(parentNames, name));
+		});
+		return elements;
+	}
+
+	/** @public */
+	find(parentNames, name) {
+		return this.findAll(parentNames, name)[0] || null;
+	}
+}
+
+/** Reads and writes P/T nets in the PNML-format. */
+class PNML {
+	static ENTITIES = {lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'"};
+
+	/**
+	 * Parses a well-formed XML document into a tree of elements. Comments, processing instructions and
+	 * document type declarations are skipped while CDATA-sections are kept as text.
+	 *
+	 * @public
+	 * @param {string} text The XML document.
+	 * @return {XmlElement} The root element of the document.
+	 * @throws {Error} If the text is not well-formed XML.
+	 */
+	static parseXML(text) {
+		const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+		const document = new XmlElement("#document", {}, null);
+		let current = document;
+		let match;
+		while ((match = tokens.exec(text)) !== null) {
+			const [token, cdata, closeName, openName, attributes, selfClosing, content] = match;
+			if (cdata !== undefined) {
+				current.children.push(cdata);
+			} else if (closeName !== undefined) {
+				if (current === document || current.rawName !== closeName) {
+					throw new Error("Invalid XML");
+				}
+				current = current.parent;
+			} else if (openName !== undefined) {
+				const values = {};
+				const attributeTokens = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+				let attribute;
+				while ((attribute = attributeTokens.exec(attributes)) !== null) {
+					values[attribute[1]] = PNML.decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+				}
+				if (current === document && document.children.some(child => typeof child !== "string")) {
+					throw new Error("Invalid XML");
+				}
+				const element = new XmlElement(openName, values, current);
+				current.children.push(element);
+				if (!selfClosing) {
+					current = element;
+				}
+			} else if (content !== undefined) {
+				if (current === document && content.trim()) {
+					throw new Error("Invalid XML");
+				}
+				current.children.push(PNML.decodeEntities(content));
+			} else if (token === "<") {
+				throw new Error("Invalid XML");
+			}
+		}
+		if (current !== document || !document.children.some(child => typeof child !== "string")) {
+			throw new Error("Invalid XML");
+		}
+		return document;
+	}
+
+	/** @private */
+	static decodeEntities(text) {
+		return text.replace(/&(?:#(\d+)|#x([0-9a-fA-F]+)|([a-z]+));?/g, (entity, decimal, hexadecimal, name) => {
+			if (!entity.endsWith(";") || (name !== undefined && PNML.ENTITIES[name] === undefined)) {
+				throw new Error("Invalid XML");
+			}
+			if (name !== undefined) {
+				return PNML.ENTITIES[name];
+			}
+			return String.fromCodePoint(decimal !== undefined ? +decimal : parseInt(hexadecimal, 16));
+		});
+	}
+
+	/** @private */
+	static encodeEntities(text) {
+		return String(text).replace(/[<>&"']/g, character => "&" + Object.keys(PNML.ENTITIES).find(name => PNML.ENTITIES[name] === character) + ";");
+	}
+
+	/**
+	 * Parses a PNML-file of a P/T net in a loose fashion where only ids, initial markings, labels, positions and
+	 * the sources/targets/inscriptions (weights)/positions (points between source and target) of arcs are used.
+	 * Ids of the form pN/tN are turned into the name id N while other ids get an automatic name id. Labels are
+	 * turned into camelCase (or τ if empty), and missing positions are NaN while incomplete points are skipped.
+	 *
+	 * @public
+	 * @param {string} text The PNML-file.
+	 * @return {{places: Object[], transitions: Object[], arcs: Object[]}} Places, transitions and arcs where the
+	 *     source and target of an arc refer to the place/transition objects.
+	 * @throws {Error} If the PNML-file is invalid or has weighted arcs from places to transitions.
+	 */
+	static parse(text) {
+		const xml = PNML.parseXML(text);
+		const nodes = {};
+		// Missing and empty coordinates are NaN (instead of 0).
+		const coordinate = (position, attribute) => position.hasAttribute(attribute) && position.getAttribute(attribute).trim() !== "" ? +position.getAttribute(attribute) : NaN;
+		const position = (element, attribute) => {
+			const position = element.find(["graphics"], "position");
+			return position ? coordinate(position, attribute) : NaN;
+		};
+		const places = xml.findAll(["net", "page"], "place").map(element => {
+			const id = element.getAttribute("id");
+			if (!id) {
+				throw new Error("Place without id.");
+			}
+			if (nodes[id]) {
+				throw new Error("Duplicate id.");
+			}
+			const marking = element.find(["initialMarking"], "text");
+			return nodes[id] = {
+				id: id,
+				nameId: /^p[1-9]\d*$/.test(id) ? +id.slice(1) : Node.AUTO_NAME_ID,
+				tokens: marking ? +marking.textContent || 0 : 0,
+				x: position(element, "x"),
+				y: position(element, "y"),
+			};
+		});
+		const transitions = xml.findAll(["net", "page"], "transition").map(element => {
+			const id = element.getAttribute("id");
+			if (!id) {
+				throw new Error("Transition without id.");
+			}
+			if (nodes[id]) {
+				throw new Error("Duplicate id.");
+			}
+			const name = element.find(["name"], "text");
+			return nodes[id] = {
+				id: id,
+				nameId: /^t[1-9]\d*$/.test(id) ? +id.slice(1) : Node.AUTO_NAME_ID,
+				label: name ? name.textContent.toLowerCase().replace(/[^a-zA-Z0-9τ]+/g, "") || "τ" : "τ",
+				x: position(element, "x"),
+				y: position(element, "y"),
+			};
+		});
+		const arcs = xml.findAll(["net", "page"], "arc").map(element => {
+			const source = nodes[element.getAttribute("source")];
+			const target = nodes[element.getAttribute("target")];
+			if (!source) {
+				throw new Error("Edge with unknown source id.");
+			}
+			if (!target) {
+				throw new Error("Edge with unknown target id.");
+			}
+			const inscription = element.find(["inscription"], "text");
+			const weight = inscription ? +inscription.textContent.trim() : 1;
+			if (!Number.isInteger(weight) || weight < 1) {
+				throw new Error("Edge with invalid weight.");
+			}
+			if (weight > 1 && places.includes(source)) {
+				throw new Error("Weighted edges are not allowed from places to transitions.");
+			}
+			const points = element.findAll(["graphics"], "position")
+				.map(position => ({x: coordinate(position, "x"), y: coordinate(position, "y")}))
+				.filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+			return {source: source, target: target, weight: weight, points: points};
+		});
+		return {places: places, transitions: transitions, arcs: arcs};
+	}
+
+	/**
+	 * Parses a PNML-file (see PNML::parse) into a Petri net without position information.
+	 *
+	 * @public
+	 * @param {string} text The PNML-file.
+	 * @return {PetriNet} The Petri net.
+	 * @throws {Error} If the PNML-file is invalid or describes an unsupported Petri net.
+	 */
+	static toPetriNet(text) {
+		const pnml = PNML.parse(text);
+		const petriNet = new PetriNet();
+		const nodes = new Map();
+		pnml.places.forEach(place => nodes.set(place, petriNet.addPlace(place.nameId, place.tokens)));
+		pnml.transitions.forEach(transition => nodes.set(transition, petriNet.addTransition(transition.nameId, transition.label)));
+		pnml.arcs.forEach(arc => petriNet.addEdge(nodes.get(arc.source), nodes.get(arc.target), arc.weight));
+		return petriNet;
+	}
+
+	/**
+	 * Writes a Petri net as a PNML-file. Positions are only written for places/transitions that have them, positions
+	 * of points are only written for arcs with points (GuiEdge::points), and inscriptions are only written for arcs
+	 * with a weight other than 1.
+	 *
+	 * @public
+	 * @param {PetriNet} petriNet The Petri net.
+	 * @param {string} name       Name of the Petri net.
+	 * @return {string} The PNML-file.
+	 */
+	static stringify(petriNet, name) {
+		const graphics = node => node.x === undefined ? "" : `
+        <graphics>
+          <position x="${node.x}" y="${node.y}" />
+        </graphics>`;
+		const points = edge => edge.points === undefined || edge.points.length === 0 ? "" : `
+        <graphics>${edge.points.map(point => `
+          <position x="${point.x}" y="${point.y}" />`).join("")}
+        </graphics>`;
+		const inscription = edge => edge.weight === 1 ? "" : `
+        <inscription>
+          <text>${edge.weight}</text>
+        </inscription>`;
+		const content = edge => {
+			const content = points(edge) + inscription(edge);
+			return content ? content + "\n      " : "";
+		};
+		return `
+<pnml xmlns="http://www.pnml.org/version-2009/grammar/pnml">
+  <net id="n1" type="http://www.pnml.org/version-2009/grammar/ptnet">
+    <name>
+     <text>${PNML.encodeEntities(name)}</text>
+    </name>
+    <page id="top-level">
+      ${petriNet.places.map(place => `
+      <place id="${place.getName()}">
+        <name>
+          <text>${place.getName()}</text>
+        </name>${graphics(place)}
+        <initialMarking>
+          <text>${place.tokens}</text>
+        </initialMarking>
+      </place>
+      `).join("")}
+      ${petriNet.transitions.map(transition => `
+      <transition id="${transition.getName()}">
+        <name>
+          <text>${transition.label}</text>
+        </name>${graphics(transition)}
+      </transition>
+      `).join("")}
+      ${petriNet.edges.map((edge, index) => `
+      <arc id="e${index}" source="${edge.from.getName()}" target="${edge.to.getName()}">${content(edge)}</arc>
+      `).join("")}
+    </page>
+  </net>
+</pnml>
+		`.trim().replace(/\n( +\n)+/g, "\n") + "\n";
+	}
+}
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./pn.js"));
+	module.exports = {XmlElement, PNML};
+}
@@ -0,0 +1,204 @@
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*********************************************************************
+ * This file contains repair suggestions for Petri nets that cannot  *
+ * be encoded into CCS, i.e. small structural edits that make a      *
+ * Petri net a group-choice net or a 2-τ-synchronisation net.        *
+ *********************************************************************
+ * @public are functions that can be called from the outside         *
+ *********************************************************************/
+
+/**
+ * Structural edit of a Petri net where the places/transitions are referred to by their names (like p3 or t7) such
+ * that the edit can be applied to any copy of the Petri net. The edits are:
+ * - relabel: the label of the transition is changed to τ,
+ * - split: the edges from the place to the given transitions are moved to a new place that gets the same tokens and
+ *   the same ingoing edges as the place.
+ */
+class RepairEdit {
+	static RELABEL = "relabel";
+	static SPLIT_PLACE = "split";
+	type;
+	node;
+	transitions;
+
+	/**
+	 * @public
+	 * @param {string} type          Type of the edit.
+	 * @param {string} node          Name of the transition to relabel or the place to split.
+	 * @param {string[]} transitions Names of the transitions that the new place should have edges to (split only).
+	 */
+	constructor(type, node, transitions = []) {
+		if (type !== RepairEdit.RELABEL && type !== RepairEdit.SPLIT_PLACE) {
+			throw new Error("Unknown repair edit.");
+		}
+		this.type = type;
+		this.node = node;
+		this.transitions = transitions;
+	}
+
+	/**
+	 * Applies this edit to the given Petri net.
+	 *
+	 * @public
+	 * @param {PetriNet} petriNet The Petri net to edit.
+	 * @return {Node[]} The places/transitions that are changed or added by the edit.
+	 * @throws {Error} If the Petri net does not have the places/transitions of this edit.
+	 */
+	apply(petriNet) {
+		const find = (nodes, name) => {
+			const node = nodes.find(node => node.getName() === name);
+			if (node === undefined) {
+				throw new Error(`Petri net does not have ${name}.`);
+			}
+			return node;
+		};
+		if (this.type === RepairEdit.RELABEL) {
+			const transition = find(petriNet.transitions, this.node);
+			transition.setLabel("τ");
+			return [transition];
+		}
+		const place = find(petriNet.places, this.node);
+		const transitions = this.transitions.map(name => find(petriNet.transitions, name));
+		const newPlace = petriNet.addPlace(Node.AUTO_NAME_ID, place.tokens);
+		place.in.forEach(edge => petriNet.addEdge(edge.from, newPlace, edge.weight));
+		place.out.filter(edge => transitions.includes(edge.to)).forEach(edge => {
+			petriNet.addEdge(newPlace, edge.to, edge.weight);
+			petriNet.removeEdge(edge);
+		});
+		return [place, newPlace];
+	}
+
+	/** @public */
+	toString() {
+		if (this.type === RepairEdit.RELABEL) {
+			return `Relabel transition ${this.node} to τ.`;
+		}
+		return `Split place ${this.node} such that a new place with the same tokens and ingoing edges takes over the edges to ${this.transitions.join(", ")}.`;
+	}
+}
+
+/**
+ * Repair of a Petri net that cannot be encoded into CCS given by a sequence of structural edits that make it a
+ * group-choice net or a 2-τ-synchronisation net. Note that a repair changes the behaviour of the Petri net, e.g.
+ * splitting a place duplicates its tokens, so it is up to the user to decide if the repaired Petri net is intended.
+ */
+class Repair {
+	static MAX_EDITS = 20;
+	edits;
+	className;
+
+	/** @package */
+	constructor(edits, className) {
+		this.edits = edits;
+		this.className = className;
+	}
+
+	/**
+	 * Finds a small set of repairs of the given Petri net, where each repair makes the Petri net a group-choice net
+	 * (by splitting places) or a 2-τ-synchronisation net (by relabelling transitions with two ingoing edges to τ).
+	 * The places are split greedily: For places that both have an edge to a transition but different sets of
+	 * transitions with an edge from them, one of the places is split such that it keeps the transitions in common.
+	 *
+	 * @public
+	 * @param {PetriNet} petriNet The Petri net to repair.
+	 * @param {number} maxEdits   Maximal number of edits in a repair.
+	 * @return {Repair[]} The repairs sorted by the number of edits, which is empty if the Petri net can be encoded.
+	 */
+	static find(petriNet, maxEdits = Repair.MAX_EDITS) {
+		if (petriNet.isGroupChoiceNet() || petriNet.is2TauSynchronisationNet()) {
+			return [];
+		}
+		const repairs = [];
+		const relabel = petriNet.transitions.filter(transition => transition.in.length === 2 && transition.label !== "τ");
+		if (relabel.length <= maxEdits) {
+			const edits = relabel.sort((a, b) => a.nameId - b.nameId).map(transition => new RepairEdit(RepairEdit.RELABEL, transition.getName()));
+			const copy = Repair.copy(petriNet);
+			edits.forEach(edit => edit.apply(copy));
+			if (copy.is2TauSynchronisationNet()) {
+				repairs.push(new Repair(edits, ClassViolation.TWO_TAU_SYNCHRONISATION_NET));
+			}
+		}
+		// Either split the place found first or the other place (when possible). Both can give the same splits in
+		// another order where the new places get other names, so the splits are compared as sets where a new place
+		// is named by the split that added it.
+		const splitSets = [];
+		for (const isFirstSplit of [true, false]) {
+			const copy = Repair.copy(petriNet);
+			const edits = [];
+			const origins = new Map();
+			const splits = [];
+			for (let violation = copy.findGroupChoiceNetViolation(); violation !== null && edits.length < maxEdits; violation = copy.findGroupChoiceNetViolation()) {
+				const postSets = violation.nodes.slice(0, 2).map(place => place.out.map(edge => edge.to));
+				const differences = [0, 1].map(i => postSets[i].filter(transition => !postSets[1 - i].includes(transition)));
+				const i = differences[isFirstSplit ? 0 : 1].length > 0 ? (isFirstSplit ? 0 : 1) : (isFirstSplit ? 1 : 0);
+				const transitions = differences[i].sort((a, b) => a.nameId - b.nameId).map(transition => transition.getName());
+				const edit = new RepairEdit(RepairEdit.SPLIT_PLACE, violation.nodes[i].getName(), transitions);
+				const [place, newPlace] = edit.apply(copy);
+				const origin = origins.get(place.getName()) || place.getName();
+				origins.set(newPlace.getName(), `(${origin}/${transitions.join(",")})`);
+				splits.push(`${origin}/${transitions.join(",")}`);
+				edits.push(edit);
+			}
+			const splitSet = splits.sort().join(" ");
+			if (copy.isGroupChoiceNet() && !splitSets.includes(splitSet)) {
+				splitSets.push(splitSet);
+				repairs.push(new Repair(edits, ClassViolation.GROUP_CHOICE_NET));
+			}
+		}
+		return repairs.sort((a, b) => a.edits.length - b.edits.length);
+	}
+
+	/**
+	 * Copies a Petri net with the same names of the places/transitions.
+	 *
+	 * @private
+	 */
+	static copy(petriNet) {
+		const copy = new PetriNet();
+		petriNet.places.forEach(place => copy.addPlace(place.nameId, place.tokens));
+		petriNet.transitions.forEach(transition => copy.addTransition(transition.nameId, transition.label));
+		petriNet.edges.forEach(edge => copy.addEdge(
+			edge.from instanceof Place ? copy.places[edge.from.id] : copy.transitions[edge.from.id],
+			edge.to instanceof Place ? copy.places[edge.to.id] : copy.transitions[edge.to.id],
+			edge.weight
+		));
+		return copy;
+	}
+
+	/**
+	 * Applies the edits of this repair to the given Petri net.
+	 *
+	 * @public
+	 * @param {PetriNet} petriNet The Petri net to repair.
+	 * @return {Node[]} The places/transitions that are changed or added by the repair.
+	 */
+	apply(petriNet) {
+		return Array.from(new Set(this.edits.flatMap(edit => edit.apply(petriNet))));
+	}
+
+	/** @public */
+	toString() {
+		return this.edits.join("\n");
+	}
+}
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./pn.js"));
+	module.exports = {RepairEdit, Repair};
+}
@@ -0,0 +1,199 @@
+/* Copyright (C) 2024-2025 Benjamin Bogø
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*********************************************************************
+ * This file contains a verification of the encoding of Petri nets   *
+ * into CCS by checking that the reachability graph of the Petri net *
+ * and the LTS of the CCS are weakly bisimilar.                      *
+ *********************************************************************
+ * @public are functions that can be called from the outside         *
+ *********************************************************************/
+
+/**
+ * Weak bisimilarity of the initial states (state 0) of two labelled transition systems given as arrays of the
+ * outgoing edges of each state, where the label τ is internal (invisible).
+ */
+class WeakBisimulation {
+	isBisimilar;
+	trace = [];
+
+	/**
+	 * Decides weak bisimilarity by partition refinement on the saturated transition systems, where a weak
+	 * a-transition is τ*aτ* and a weak τ-transition is τ* (zero or more τ-transitions). If the initial states are
+	 * not weakly bisimilar, then a distinguishing trace is found: In each step, one of the systems (the attacker)
+	 * makes a weak transition that the other system (the defender) answers with a weak transition with the same
+	 * label that stays bisimilar for the most rounds of the refinement, until the defender cannot answer.
+	 *
+	 * @public
+	 * @param {{label: string, target: number}[][]} first  Outgoing edges of each state in the first system.
+	 * @param {{label: string, target: number}[][]} second Outgoing edges of each state in the second system.
+	 */
+	constructor(first, second) {
+		// Combine both systems into one where the states of the second system come after the first system.
+		const edges = first.concat(second.map(stateEdges => stateEdges.map(edge => ({label: edge.label, target: edge.target + first.length}))));
+		const moves = WeakBisimulation.saturate(edges);
+		// Refine the partition until it is stable while keeping the blocks of every round.
+		const rounds = [edges.map(() => 0)];
+		for (let numBlocks = 1; ;) {
+			const blocks = rounds[rounds.length - 1];
+			const signatures = new Map();
+			const nextBlocks = moves.map((stateMoves, state) => {
+				const signature = blocks[state] + ";" + Array.from(stateMoves, ([label, targets]) => label + ":" + Array.from(new Set(targets.map(target => blocks[target]))).sort((a, b) => a - b).join(",")).sort().join(";");
+				if (!signatures.has(signature)) {
+					signatures.set(signature, signatures.size);
+				}
+				return signatures.get(signature);
+			});
+			if (signatures.size === numBlocks) {
+				break;
+			}
+			numBlocks = signatures.size;
+			rounds.push(nextBlocks);
+		}
+		const initial = [0, first.length];
+		const split = (states) => rounds.findIndex(blocks => blocks[states[0]] !== blocks[states[1]]);
+		this.isBisimilar = split(initial) === -1;
+		// Find the distinguishing trace by following moves that split the states in earlier rounds.
+		let states = initial;
+		while (!this.isBisimilar) {
+			const previous = rounds[split(states) - 1];
+			const canAnswer = (side, label, target) => (moves[states[1 - side]].get(label) || []).some(answer => previous[answer] === previous[target]);
+			let attack = null;
+			for (let side = 0; side < 2 && attack === null; side++) {
+				for (const [label, targets] of moves[states[side]]) {
+					const target = targets.find(target => !canAnswer(side, label, target));
+					if (target !== undefined) {
+						attack = {side: side, label: label, target: target};
+						break;
+					}
+				}
+			}
+			const answers = moves[states[1 - attack.side]].get(attack.label) || [];
+			const answer = answers.reduce((best, answer) => best === null || split([attack.target, answer]) > split([attack.target, best]) ? answer : best, null);
+			const offset = side => side === 0 ? 0 : first.length;
+			this.trace.push({side: attack.side, label: attack.label, target: attack.target - offset(attack.side), answer: answer === null ? null : answer - offset(1 - attack.side)});
+			if (answer === null) {
+				break;
+			}
+			states = attack.side === 0 ? [attack.target, answer] : [answer, attack.target];
+		}
+	}
+
+	/**
+	 * Computes the weak transitions of all states.
+	 *
+	 * @private
+	 * @return {Map<string, number[]>[]} For each state, the targets of the weak transitions for each label.
+	 */
+	static saturate(edges) {
+		// Find all states reachable by zero or more τ-transitions.
+		const closures = edges.map((_, state) => {
+			const closure = [state];
+			const visited = new Set(closure);
+			for (let i = 0; i < closure.length; i++) {
+				edges[closure[i]].filter(edge => edge.label === "τ" && !visited.has(edge.target)).forEach(edge => {
+					visited.add(edge.target);
+					closure.push(edge.target);
+				});
+			}
+			return closure;
+		});
+		return closures.map(closure => {
+			const moves = new Map([["τ", new Set(closure)]]);
+			closure.forEach(state => edges[state].filter(edge => edge.label !== "τ").forEach(edge => {
+				if (!moves.has(edge.label)) {
+					moves.set(edge.label, new Set());
+				}
+				closures[edge.target].forEach(target => moves.get(edge.label).add(target));
+			}));
+			return new Map(Array.from(moves, ([label, targets]) => [label, Array.from(targets)]));
+		});
+	}
+}
+
+/**
+ * Verification that the CCS encoding of a Petri net is weakly bisimilar to the Petri net, where the reachability
+ * graph of the Petri net is labelled by the transition labels and the LTS of the CCS is labelled by the actions.
+ */
+class EncodingVerification {
+	static MAX_STATES = 2000;
+	static SYSTEMS = ["Petri net", "CCS"];
+	graph;
+	lts;
+	isComplete;
+	isBisimilar = null;
+	trace = [];
+
+	/**
+	 * @public
+	 * @param {PetriNet} petriNet Petri net that is encoded.
+	 * @param {CCS} ccs           The encoding of the Petri net.
+	 * @param {number} maxStates  Maximal number of states in the reachability graph and the LTS.
+	 * @throws {Error} If the CCS uses undefined constants or unguarded recursion.
+	 */
+	constructor(petriNet, ccs, maxStates = EncodingVerification.MAX_STATES) {
+		this.graph = new ReachabilityGraph(petriNet, petriNet.getInitialMarking(), maxStates);
+		this.lts = new LTS(ccs, maxStates);
+		this.isComplete = this.graph.isComplete && !this.graph.isCoverabilityGraph && this.lts.isComplete;
+		if (!this.isComplete) {
+			return;
+		}
+		const bisimulation = new WeakBisimulation(
+			this.graph.states.map(state => state.edges.map(edge => ({label: edge.transition.label, target: edge.state.id}))),
+			this.lts.states.map(state => state.edges.map(edge => ({label: EncodingVerification.toLabel(edge.action), target: edge.state.id})))
+		);
+		this.isBisimilar = bisimulation.isBisimilar;
+		const states = [this.graph.states, this.lts.states];
+		this.trace = bisimulation.trace.map(step => ({
+			system: EncodingVerification.SYSTEMS[step.side],
+			label: step.label,
+			state: states[step.side][step.target],
+			answer: step.answer === null ? null : states[1 - step.side][step.answer],
+		}));
+	}
+
+	/** @private */
+	static toLabel(action) {
+		if (action instanceof InternalAction) {
+			return "τ";
+		}
+		return action instanceof InputAction ? action.name : action.toString();
+	}
+
+	/**
+	 * Describes the distinguishing trace as sentences (one per step).
+	 *
+	 * @public
+	 * @return {string[]} The description of each step.
+	 */
+	describeTrace() {
+		const describe = state => `${state.getName()} = ${state instanceof ReachabilityState ? state.marking.toString() : state.process.toString()}`;
+		return this.trace.map(step => {
+			const other = EncodingVerification.SYSTEMS.find(system => system !== step.system);
+			const move = step.label === "τ" ? "internal steps" : `${step.label} (with internal steps before/after)`;
+			if (step.answer === null) {
+				return `The ${step.system} performs ${move} to ${describe(step.state)}, which the ${other} cannot answer.`;
+			}
+			return `The ${step.system} performs ${move} to ${describe(step.state)}, and the ${other} answers by going to ${describe(step.answer)}.`;
+		});
+	}
+}
+
+if (typeof module !== "undefined") {
+	// Node.js does not load the other files through script-tags.
+	Object.assign(globalThis, require("./analysis.js"), require("./lts.js"));
+	module.exports = {WeakBisimulation, EncodingVerification};
+}